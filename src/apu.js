@@ -1,80 +1,432 @@
 // apu.js
-// NES Audio Processing Unit (APU) - cycle-accurate skeleton
-// Supports frame counter, pulse/triangle/noise/DMC stubs, IRQs
+// NES Audio Processing Unit (APU)
+// Pulse x2, triangle, noise and DMC channels, frame sequencer, IRQs, the
+// non-linear mixer and a resampler down to the host's output rate.
+//
+// There is no audio backend here: the host pulls samples with needSample() /
+// sample() and plays or records them (WebAudio, WAV file, ...).
 
-export default class APU {
-    constructor(cpu, memory) {
-        this.cpu = cpu;
-        this.memory = memory;
 
-        // === Web Audio API ===
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-        this.sampleRate = this.ctx.sampleRate;
-        this.masterGain = this.ctx.createGain();
-        this.masterGain.gain.value = 0.3;
-        this.masterGain.connect(this.ctx.destination);
+const LENGTH_TABLE = [
+    10, 254, 20, 2, 40, 4, 80, 6, 160, 8, 60, 10, 14, 12, 26, 14,
+    12, 16, 24, 18, 48, 20, 96, 22, 192, 24, 72, 26, 16, 28, 32, 30,
+];
+
+const DUTY_TABLE = [
+    [0, 1, 0, 0, 0, 0, 0, 0], // 12.5%
+    [0, 1, 1, 0, 0, 0, 0, 0], // 25%
+    [0, 1, 1, 1, 1, 0, 0, 0], // 50%
+    [1, 0, 0, 1, 1, 1, 1, 1], // 25% negated
+];
+
+const TRIANGLE_SEQUENCE = [
+    15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0,
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+// Per-region clock and tables. The APU runs off the CPU clock; noise periods
+// and DMC rates are in CPU cycles. Frame sequencer steps count CPU cycles
+// since the sequence started: the 4-step sequence raises its IRQ flag on its
+// last three cycles (irqStart to end4) and wraps, the 5-step one wraps at end5.
+// Dendy clones pair the NTSC APU with their own CPU clock.
+const NTSC_TIMING = {
+    cpuHz: 1789773,
+    noisePeriods: [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068],
+    dmcRates: [428, 380, 340, 320, 286, 254, 226, 214, 190, 160, 142, 128, 106, 84, 72, 54],
+    frame: { quarter1: 7457, half1: 14913, quarter3: 22371, irqStart: 29828, half4: 29829, end4: 29830, half5: 37281, end5: 37282 },
+};
+
+const REGION_TIMING = {
+    NTSC: NTSC_TIMING,
+    PAL: {
+        cpuHz: 1662607,
+        noisePeriods: [4, 8, 14, 30, 60, 88, 118, 148, 188, 236, 354, 472, 708, 944, 1890, 3778],
+        dmcRates: [398, 354, 316, 298, 276, 236, 210, 198, 176, 148, 132, 118, 98, 78, 66, 50],
+        frame: { quarter1: 8313, half1: 16627, quarter3: 24939, irqStart: 33252, half4: 33253, end4: 33254, half5: 41565, end5: 41566 },
+    },
+    DENDY: { ...NTSC_TIMING, cpuHz: 1773448 },
+};
+
+// Recorded samples are collected in blocks of this size
+const RECORD_CHUNK = 16384;
+
+// Non-linear mixer lookup tables (see the nesdev wiki "APU Mixer" page)
+const PULSE_TABLE = new Float32Array(31).map((_, n) => (n ? 95.52 / (8128 / n + 100) : 0));
+const TND_TABLE = new Float32Array(203).map((_, n) => (n ? 163.67 / (24329 / n + 100) : 0));
+
+// First-order filters of the console's output stage
+class HighPass {
+    constructor(sampleRate, cutoff) {
+        const rc = 1 / (2 * Math.PI * cutoff);
+        this.alpha = rc / (rc + 1 / sampleRate);
+        this.prevIn = 0;
+        this.prevOut = 0;
+    }
+    process(x) {
+        this.prevOut = this.alpha * (this.prevOut + x - this.prevIn);
+        this.prevIn = x;
+        return this.prevOut;
+    }
+}
+
+class LowPass {
+    constructor(sampleRate, cutoff) {
+        const rc = 1 / (2 * Math.PI * cutoff);
+        const dt = 1 / sampleRate;
+        this.alpha = dt / (rc + dt);
+        this.prevOut = 0;
+    }
+    process(x) {
+        this.prevOut += this.alpha * (x - this.prevOut);
+        return this.prevOut;
+    }
+}
+
+// Resampler from the CPU clock down to an output rate: the mixer output is
+// averaged over each output sample period (a box filter against aliasing),
+// then run through the console's 90Hz/440Hz high-pass and 14kHz low-pass
+// stages before it is handed to onSample.
+class Resampler {
+    constructor(sampleRate, onSample, cpuHz) {
+        this.sampleRate = sampleRate;
+        this.onSample = onSample;
+        this.cpuHz = cpuHz;
+        this.clock = 0;
+        this.sum = 0;
+        this.count = 0;
+        this.filters = [new HighPass(sampleRate, 90), new HighPass(sampleRate, 440), new LowPass(sampleRate, 14000)];
+    }
+    // One mixer value per CPU cycle
+    push(value) {
+        this.sum += value;
+        this.count++;
+        this.clock += this.sampleRate;
+        if (this.clock >= this.cpuHz) {
+            this.clock -= this.cpuHz;
+            let out = this.sum / this.count;
+            this.sum = 0;
+            this.count = 0;
+            for (const filter of this.filters) out = filter.process(out);
+            this.onSample(out);
+        }
+    }
+}
+
+export default class APU {
+    constructor(memory = null) {
+        this.memory = memory; // DMC sample fetches go through the bus
 
         // === Channels ===
-        this.pulse1 = new PulseChannel(this.ctx);
-        this.pulse2 = new PulseChannel(this.ctx);
-        this.triangle = new TriangleChannel(this.ctx);
-        this.noise = new NoiseChannel(this.ctx);
-        this.dmc = new DMCChannel(this.ctx, memory);
-
-        this.pulse1.output.connect(this.masterGain);
-        this.pulse2.output.connect(this.masterGain);
-        this.triangle.output.connect(this.masterGain);
-        this.noise.output.connect(this.masterGain);
-        this.dmc.output.connect(this.masterGain);
+        this.pulse1 = new PulseChannel(1);
+        this.pulse2 = new PulseChannel(2);
+        this.triangle = new TriangleChannel();
+        this.noise = new NoiseChannel();
+        this.dmc = new DMCChannel(memory);
+
+        // === Output ===
+        this.volume = 0.5;
+        this.recording = null;
+        this.recorder = null;
+
+        // === Channel mixer (mute / solo / volume per channel) ===
+        this.channels = ['pulse1', 'pulse2', 'triangle', 'noise', 'dmc'].map((id) => ({ id }));
+        this.expansion = [];        // cartridge audio, see addExpansionChannel()
+        this.channelMix = {};
+        this.gains = {};
+        for (const ch of this.channels) this.channelMix[ch.id] = { mute: false, solo: false, volume: 1 };
+        this.updateGains();
+
+        this.setRegion('NTSC');
+        this.reset();
+    }
+
+    // 'NTSC', 'PAL' or 'DENDY' (anything else is NTSC). Periods already
+    // written keep their old value until the game rewrites them or a reset.
+    setRegion(region) {
+        this.timing = REGION_TIMING[String(region).toUpperCase()] || NTSC_TIMING;
+        this.noise.periods = this.timing.noisePeriods;
+        this.dmc.rates = this.timing.dmcRates;
+        if (this.resampler) this.resampler.cpuHz = this.timing.cpuHz;
+        if (this.recorder) this.recorder.cpuHz = this.timing.cpuHz;
+    }
+
+    connectBus(bus) {
+        this.memory = bus;
+        this.dmc.memory = bus;
+    }
+
+    reset(sampleRate = this.sampleRate || 48000) {
+        this.sampleRate = sampleRate;
+
+        this.resampler = new Resampler(sampleRate, (value) => this.pushSample(value), this.timing.cpuHz);
+        this.samples = new Float32Array(256); // ring of finished samples
+        this.sampleRead = 0;
+        this.sampleWrite = 0;
 
         // === Frame counter ===
         this.cycles = 0;
-        this.frameStep = 0;
+        this.frameCycle = 0;
         this.frameCounterMode = 0; // 0 = 4-step, 1 = 5-step
         this.frameIRQ = false;
+        this.irqInhibit = false;
+        this.frameResetDelay = 0;  // CPU cycles until a $4017 write restarts the sequencer
+        this.pendingFrameMode = 0;
+
+        this.pulse1.reset();
+        this.pulse2.reset();
+        this.triangle.reset();
+        this.noise.reset();
+        this.dmc.reset();
+        this.setChannelEnable(0);
     }
 
-    step() {
-        this.cycles++;
+    // Advance by the given number of CPU cycles
+    step(cpuCycles = 1) {
+        for (let i = 0; i < cpuCycles; i++) {
+            this.cycles++;
+
+            // Pulse and noise timers run at half the CPU clock, the triangle at the full clock
+            this.triangle.clockTimer();
+            if (this.cycles & 1) {
+                this.pulse1.clockTimer();
+                this.pulse2.clockTimer();
+                this.noise.clockTimer();
+            }
+
+            // Tick DMC each cycle
+            this.dmc.step();
 
-        // NTSC frame sequencer: 7457 CPU cycles per step
-        if (this.cycles % 7457 === 0) {
             this.stepFrameCounter();
+
+            const value = this.mix();
+            this.resampler.push(value);
+            if (this.recorder) this.recorder.push(value);
         }
+    }
 
-        // Tick DMC each cycle
-        this.dmc.step();
+    // === Recording ===
+    // Captures the mix at its own rate, straight from the CPU clock and
+    // independent of the output rate and master volume.
+
+    startRecording(sampleRate = this.sampleRate) {
+        const recording = { sampleRate, chunks: [], chunk: new Float32Array(RECORD_CHUNK), length: 0 };
+        this.recording = recording;
+        this.recorder = new Resampler(sampleRate, (value) => {
+            recording.chunk[recording.length++ % RECORD_CHUNK] = value;
+            if (recording.length % RECORD_CHUNK === 0) {
+                recording.chunks.push(recording.chunk);
+                recording.chunk = new Float32Array(RECORD_CHUNK);
+            }
+        }, this.timing.cpuHz);
     }
 
+    // Returns { samples: Float32Array, sampleRate }, or null if not recording
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+        this.recording = null;
+        this.recorder = null;
+        const samples = new Float32Array(recording.length);
+        recording.chunks.forEach((chunk, i) => samples.set(chunk, i * RECORD_CHUNK));
+        samples.set(recording.chunk.subarray(0, recording.length % RECORD_CHUNK), recording.chunks.length * RECORD_CHUNK);
+        return { samples, sampleRate: recording.sampleRate };
+    }
+
+    get isRecording() {
+        return !!this.recording;
+    }
+
+    // Non-linear mixer, 0..1. The lookup tables cover the usual all-unity
+    // case; per-channel gains need the formulas they were built from.
+    mix() {
+        let out;
+        if (this.unityGains) {
+            const pulse = this.pulse1.output() + this.pulse2.output();
+            const tnd = 3 * this.triangle.output() + 2 * this.noise.output() + this.dmc.output();
+            out = PULSE_TABLE[pulse] + TND_TABLE[tnd];
+        } else {
+            const g = this.gains;
+            const pulse = this.pulse1.output() * g.pulse1 + this.pulse2.output() * g.pulse2;
+            const tnd = 3 * this.triangle.output() * g.triangle + 2 * this.noise.output() * g.noise + this.dmc.output() * g.dmc;
+            out = (pulse > 0 ? 95.52 / (8128 / pulse + 100) : 0) + (tnd > 0 ? 163.67 / (24329 / tnd + 100) : 0);
+        }
+        for (const ch of this.expansion) out += (ch.output() / ch.max) * ch.level * this.gains[ch.id];
+        return out;
+    }
+
+    // === Channel mixer ===
+    // Channels are 'pulse1', 'pulse2', 'triangle', 'noise', 'dmc' plus any
+    // expansion channels. A soloed channel silences every unsoloed one.
+
+    getChannels() {
+        return this.channels.map((ch) => ({ id: ch.id, ...this.channelMix[ch.id] }));
+    }
+
+    setChannelMute(id, mute) {
+        if (!this.channelMix[id]) return;
+        this.channelMix[id].mute = !!mute;
+        this.updateGains();
+    }
+
+    setChannelSolo(id, solo) {
+        if (!this.channelMix[id]) return;
+        this.channelMix[id].solo = !!solo;
+        this.updateGains();
+    }
+
+    setChannelVolume(id, volume) {
+        if (!this.channelMix[id]) return;
+        this.channelMix[id].volume = Math.min(1, Math.max(0, +volume || 0));
+        this.updateGains();
+    }
+
+    updateGains() {
+        const soloing = this.channels.some((ch) => this.channelMix[ch.id].solo);
+        this.unityGains = true;
+        for (const ch of this.channels) {
+            const m = this.channelMix[ch.id];
+            this.gains[ch.id] = m.mute || (soloing && !m.solo) ? 0 : m.volume;
+            if (this.gains[ch.id] !== 1) this.unityGains = false;
+        }
+    }
+
+    // Expansion audio from the cartridge: output() returns the channel's raw
+    // level in 0..max; level scales it against the 2A03 mix.
+    addExpansionChannel({ id, max, level = 0.5, output }) {
+        const ch = { id, max, level, output };
+        this.channels.push(ch);
+        this.expansion.push(ch);
+        this.channelMix[id] = { mute: false, solo: false, volume: 1 };
+        this.updateGains();
+    }
+
+    clearExpansionChannels() {
+        for (const ch of this.expansion) {
+            delete this.channelMix[ch.id];
+            delete this.gains[ch.id];
+        }
+        this.channels = this.channels.filter((ch) => !this.expansion.includes(ch));
+        this.expansion = [];
+        this.updateGains();
+    }
+
+    pushSample(value) {
+        this.samples[this.sampleWrite] = value * this.volume;
+        this.sampleWrite = (this.sampleWrite + 1) & 0xFF;
+        if (this.sampleWrite === this.sampleRead) this.sampleRead = (this.sampleRead + 1) & 0xFF; // drop oldest
+    }
+
+    // True while at least one output sample is waiting
+    needSample() {
+        return this.sampleRead !== this.sampleWrite;
+    }
+
+    // Next output sample, roughly in [-1, 1]
+    sample() {
+        if (this.sampleRead === this.sampleWrite) return 0;
+        const value = this.samples[this.sampleRead];
+        this.sampleRead = (this.sampleRead + 1) & 0xFF;
+        return value;
+    }
+
+    // Quarter frames clock envelopes and the linear counter; half frames
+    // also clock length counters and sweeps.
     stepFrameCounter() {
+        if (this.frameResetDelay > 0 && --this.frameResetDelay === 0) {
+            this.frameCounterMode = this.pendingFrameMode;
+            this.frameCycle = 0;
+            // Entering 5-step mode clocks everything immediately
+            if (this.frameCounterMode === 1) {
+                this.clockQuarterFrame();
+                this.clockHalfFrame();
+            }
+            return;
+        }
+
+        this.frameCycle++;
+        const step = this.timing.frame;
         if (this.frameCounterMode === 0) {
             // 4-step sequence, generates IRQ
-            this.frameStep = (this.frameStep + 1) % 4;
-            if (this.frameStep === 3) {
-                this.frameIRQ = true;
+            switch (this.frameCycle) {
+                case step.quarter1:
+                case step.quarter3:
+                    this.clockQuarterFrame();
+                    break;
+                case step.half1:
+                    this.clockQuarterFrame();
+                    this.clockHalfFrame();
+                    break;
+                case step.irqStart:
+                    this.setFrameIRQ();
+                    break;
+                case step.half4:
+                    this.clockQuarterFrame();
+                    this.clockHalfFrame();
+                    this.setFrameIRQ();
+                    break;
+                case step.end4:
+                    this.setFrameIRQ();
+                    this.frameCycle = 0;
+                    break;
             }
         } else {
             // 5-step sequence, no IRQ
-            this.frameStep = (this.frameStep + 1) % 5;
+            switch (this.frameCycle) {
+                case step.quarter1:
+                case step.quarter3:
+                    this.clockQuarterFrame();
+                    break;
+                case step.half1:
+                case step.half5:
+                    this.clockQuarterFrame();
+                    this.clockHalfFrame();
+                    break;
+                case step.end5:
+                    this.frameCycle = 0;
+                    break;
+            }
         }
+    }
 
-        // TODO: also tick envelopes, length counters, sweep units
+    setFrameIRQ() {
+        if (!this.irqInhibit) this.frameIRQ = true;
+    }
+
+    clockQuarterFrame() {
+        this.pulse1.clockEnvelope();
+        this.pulse2.clockEnvelope();
+        this.noise.clockEnvelope();
+        this.triangle.clockLinearCounter();
+    }
+
+    clockHalfFrame() {
+        this.pulse1.clockLength();
+        this.pulse2.clockLength();
+        this.triangle.clockLength();
+        this.noise.clockLength();
+        this.pulse1.clockSweep();
+        this.pulse2.clockSweep();
     }
 
     // === Register interface (CPU writes) ===
     write(addr, value) {
-        if (addr >= 0x4000 && addr <= 0x4003) this.pulse1.write(addr, value);
-        else if (addr >= 0x4004 && addr <= 0x4007) this.pulse2.write(addr, value);
-        else if (addr >= 0x4008 && addr <= 0x400B) this.triangle.write(addr, value);
-        else if (addr >= 0x400C && addr <= 0x400F) this.noise.write(addr, value);
+        if (addr >= 0x4000 && addr <= 0x4003) this.pulse1.write(addr & 3, value);
+        else if (addr >= 0x4004 && addr <= 0x4007) this.pulse2.write(addr & 3, value);
+        else if (addr >= 0x4008 && addr <= 0x400B) this.triangle.write(addr & 3, value);
+        else if (addr >= 0x400C && addr <= 0x400F) this.noise.write(addr & 3, value);
         else if (addr >= 0x4010 && addr <= 0x4013) this.dmc.write(addr, value);
         else if (addr === 0x4015) {
             this.setChannelEnable(value);
+            this.dmc.dmcIRQ = false;
         } else if (addr === 0x4017) {
-            this.frameCounterMode = (value >> 7) & 1;
-            if (value & 0x40) {
+            this.irqInhibit = (value & 0x40) !== 0;
+            if (this.irqInhibit) {
                 this.frameIRQ = false; // disable frame IRQ
             }
+            // The mode change and sequencer restart land 3 CPU cycles after a
+            // write on an APU cycle, 4 after one between APU cycles
+            this.pendingFrameMode = (value >> 7) & 1;
+            this.frameResetDelay = (this.cycles & 1) ? 3 : 4;
         }
     }
 
@@ -82,11 +434,13 @@ export default class APU {
     read(addr) {
         if (addr === 0x4015) {
             let status =
-                (this.pulse1.enabled ? 1 : 0) |
-                (this.pulse2.enabled ? 2 : 0) |
-                (this.triangle.enabled ? 4 : 0) |
-                (this.noise.enabled ? 8 : 0) |
-                (this.dmc.enabled ? 16 : 0);
+                (this.pulse1.lengthCounter > 0 ? 1 : 0) |
+                (this.pulse2.lengthCounter > 0 ? 2 : 0) |
+                (this.triangle.lengthCounter > 0 ? 4 : 0) |
+                (this.noise.lengthCounter > 0 ? 8 : 0) |
+                (this.dmc.enabled ? 16 : 0) |
+                (this.frameIRQ ? 0x40 : 0) |
+                (this.dmc.dmcIRQ ? 0x80 : 0);
             this.frameIRQ = false; // reading clears frame IRQ
             return status;
         }
@@ -105,104 +459,293 @@ export default class APU {
     getIRQ() {
         return this.frameIRQ || this.dmc.dmcIRQ;
     }
+
+    get irqLine() {
+        return this.getIRQ();
+    }
 }
 
 /* ========================
    Channel Implementations
    ======================== */
 
-// --- Pulse channel (simplified stub) ---
+// Volume envelope shared by the pulse and noise channels
+class Envelope {
+    constructor() {
+        this.reset();
+    }
+    reset() {
+        this.start = false;
+        this.loop = false;        // also the length counter halt flag
+        this.constant = false;
+        this.period = 0;          // also the constant volume
+        this.divider = 0;
+        this.decay = 0;
+    }
+    write(value) {
+        this.loop = (value & 0x20) !== 0;
+        this.constant = (value & 0x10) !== 0;
+        this.period = value & 0x0F;
+    }
+    clock() {
+        if (this.start) {
+            this.start = false;
+            this.decay = 15;
+            this.divider = this.period;
+        } else if (this.divider === 0) {
+            this.divider = this.period;
+            if (this.decay > 0) this.decay--;
+            else if (this.loop) this.decay = 15;
+        } else {
+            this.divider--;
+        }
+    }
+    get volume() {
+        return this.constant ? this.period : this.decay;
+    }
+}
+
+// --- Pulse channel ---
 class PulseChannel {
-    constructor(ctx) {
-        this.ctx = ctx;
-        this.osc = ctx.createOscillator();
-        this.gain = ctx.createGain();
-        this.osc.type = "square"; // Approximate NES pulse
-        this.gain.gain.value = 0;
-        this.osc.connect(this.gain);
-        this.osc.start();
-        this.output = this.gain;
+    // channel 1 negates its sweep with ones' complement, channel 2 with two's
+    constructor(channel) {
+        this.channel = channel;
+        this.envelope = new Envelope();
+        this.reset();
+    }
+    reset() {
         this.enabled = false;
+        this.duty = 0;
+        this.dutyPos = 0;
+        this.timerPeriod = 0;
+        this.timer = 0;
+        this.lengthCounter = 0;
+        this.sweepEnabled = false;
+        this.sweepPeriod = 0;
+        this.sweepNegate = false;
+        this.sweepShift = 0;
+        this.sweepDivider = 0;
+        this.sweepReload = false;
+        this.envelope.reset();
     }
-    write(addr, value) {
-        // TODO: duty cycle, sweep, envelope
+    write(reg, value) {
+        switch (reg) {
+            case 0:
+                this.duty = value >> 6;
+                this.envelope.write(value);
+                break;
+            case 1:
+                this.sweepEnabled = (value & 0x80) !== 0;
+                this.sweepPeriod = (value >> 4) & 7;
+                this.sweepNegate = (value & 0x08) !== 0;
+                this.sweepShift = value & 7;
+                this.sweepReload = true;
+                break;
+            case 2:
+                this.timerPeriod = (this.timerPeriod & 0x700) | value;
+                break;
+            case 3:
+                this.timerPeriod = (this.timerPeriod & 0xFF) | ((value & 7) << 8);
+                if (this.enabled) this.lengthCounter = LENGTH_TABLE[value >> 3];
+                this.dutyPos = 0;
+                this.envelope.start = true;
+                break;
+        }
     }
     setEnabled(on) {
         this.enabled = !!on;
-        this.gain.gain.value = this.enabled ? 0.2 : 0;
+        if (!this.enabled) this.lengthCounter = 0;
+    }
+    clockTimer() {
+        if (this.timer === 0) {
+            this.timer = this.timerPeriod;
+            this.dutyPos = (this.dutyPos + 1) & 7;
+        } else {
+            this.timer--;
+        }
+    }
+    clockEnvelope() {
+        this.envelope.clock();
+    }
+    clockLength() {
+        if (this.lengthCounter > 0 && !this.envelope.loop) this.lengthCounter--;
+    }
+    // The sweep unit continuously computes a target period; it mutes the
+    // channel when that overflows, even if the sweep is disabled
+    targetPeriod() {
+        const change = this.timerPeriod >> this.sweepShift;
+        if (!this.sweepNegate) return this.timerPeriod + change;
+        return this.timerPeriod - change - (this.channel === 1 ? 1 : 0);
+    }
+    clockSweep() {
+        const target = this.targetPeriod();
+        if (this.sweepDivider === 0 && this.sweepEnabled && this.sweepShift > 0 && !this.muted(target)) {
+            this.timerPeriod = Math.max(0, target);
+        }
+        if (this.sweepDivider === 0 || this.sweepReload) {
+            this.sweepDivider = this.sweepPeriod;
+            this.sweepReload = false;
+        } else {
+            this.sweepDivider--;
+        }
+    }
+    muted(target = this.targetPeriod()) {
+        return this.timerPeriod < 8 || target > 0x7FF;
+    }
+    output() {
+        if (this.lengthCounter === 0 || this.muted() || !DUTY_TABLE[this.duty][this.dutyPos]) return 0;
+        return this.envelope.volume;
     }
 }
 
-// --- Triangle channel (simplified stub) ---
+// --- Triangle channel ---
 class TriangleChannel {
-    constructor(ctx) {
-        this.ctx = ctx;
-        this.osc = ctx.createOscillator();
-        this.gain = ctx.createGain();
-        this.osc.type = "triangle";
-        this.gain.gain.value = 0;
-        this.osc.connect(this.gain);
-        this.osc.start();
-        this.output = this.gain;
+    constructor() {
+        this.reset();
+    }
+    reset() {
         this.enabled = false;
+        this.control = false;      // also the length counter halt flag
+        this.linearReloadValue = 0;
+        this.linearCounter = 0;
+        this.linearReload = false;
+        this.lengthCounter = 0;
+        this.timerPeriod = 0;
+        this.timer = 0;
+        this.sequencePos = 0;
     }
-    write(addr, value) {
-        // TODO: linear counter, length counter
+    write(reg, value) {
+        switch (reg) {
+            case 0:
+                this.control = (value & 0x80) !== 0;
+                this.linearReloadValue = value & 0x7F;
+                break;
+            case 2:
+                this.timerPeriod = (this.timerPeriod & 0x700) | value;
+                break;
+            case 3:
+                this.timerPeriod = (this.timerPeriod & 0xFF) | ((value & 7) << 8);
+                if (this.enabled) this.lengthCounter = LENGTH_TABLE[value >> 3];
+                this.linearReload = true;
+                break;
+        }
     }
     setEnabled(on) {
         this.enabled = !!on;
-        this.gain.gain.value = this.enabled ? 0.2 : 0;
+        if (!this.enabled) this.lengthCounter = 0;
+    }
+    clockTimer() {
+        if (this.timer === 0) {
+            this.timer = this.timerPeriod;
+            // Periods below 2 are ultrasonic; hold the sequencer instead of
+            // producing a loud pop at the mixer
+            if (this.lengthCounter > 0 && this.linearCounter > 0 && this.timerPeriod >= 2) {
+                this.sequencePos = (this.sequencePos + 1) & 31;
+            }
+        } else {
+            this.timer--;
+        }
+    }
+    clockLinearCounter() {
+        if (this.linearReload) this.linearCounter = this.linearReloadValue;
+        else if (this.linearCounter > 0) this.linearCounter--;
+        if (!this.control) this.linearReload = false;
+    }
+    clockLength() {
+        if (this.lengthCounter > 0 && !this.control) this.lengthCounter--;
+    }
+    // The triangle keeps outputting its current step when silenced
+    output() {
+        return TRIANGLE_SEQUENCE[this.sequencePos];
     }
 }
 
-// --- Noise channel (simplified stub) ---
+// --- Noise channel ---
 class NoiseChannel {
-    constructor(ctx) {
-        this.ctx = ctx;
-        this.bufferSize = 2 * ctx.sampleRate;
-        const noiseBuffer = ctx.createBuffer(1, this.bufferSize, ctx.sampleRate);
-        const data = noiseBuffer.getChannelData(0);
-        for (let i = 0; i < this.bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
-        }
-        this.noise = ctx.createBufferSource();
-        this.noise.buffer = noiseBuffer;
-        this.noise.loop = true;
-        this.gain = ctx.createGain();
-        this.gain.gain.value = 0;
-        this.noise.connect(this.gain);
-        this.noise.start();
-        this.output = this.gain;
+    constructor() {
+        this.envelope = new Envelope();
+        this.periods = NTSC_TIMING.noisePeriods; // the APU sets its region's table
+        this.reset();
+    }
+    reset() {
         this.enabled = false;
+        this.mode = false;         // true: short 93-step sequence (tap bit 6)
+        this.timerPeriod = this.periods[0];
+        this.timer = 0;
+        this.lengthCounter = 0;
+        this.shiftRegister = 1;    // 15-bit LFSR
+        this.envelope.reset();
     }
-    write(addr, value) {
-        // TODO: implement period, envelope
+    write(reg, value) {
+        switch (reg) {
+            case 0:
+                this.envelope.write(value);
+                break;
+            case 2:
+                this.mode = (value & 0x80) !== 0;
+                this.timerPeriod = this.periods[value & 0x0F];
+                break;
+            case 3:
+                if (this.enabled) this.lengthCounter = LENGTH_TABLE[value >> 3];
+                this.envelope.start = true;
+                break;
+        }
     }
     setEnabled(on) {
         this.enabled = !!on;
-        this.gain.gain.value = this.enabled ? 0.2 : 0;
+        if (!this.enabled) this.lengthCounter = 0;
+    }
+    // Clocked every other CPU cycle, so the CPU-cycle periods are halved
+    clockTimer() {
+        if (this.timer === 0) {
+            this.timer = (this.timerPeriod >> 1) - 1;
+            const tap = this.mode ? 6 : 1;
+            const feedback = (this.shiftRegister ^ (this.shiftRegister >> tap)) & 1;
+            this.shiftRegister = (this.shiftRegister >> 1) | (feedback << 14);
+        } else {
+            this.timer--;
+        }
+    }
+    clockEnvelope() {
+        this.envelope.clock();
+    }
+    clockLength() {
+        if (this.lengthCounter > 0 && !this.envelope.loop) this.lengthCounter--;
+    }
+    output() {
+        if (this.lengthCounter === 0 || (this.shiftRegister & 1)) return 0;
+        return this.envelope.volume;
     }
 }
 
 // --- DMC channel (with DMA + IRQ) ---
 class DMCChannel {
-    constructor(ctx, memory) {
-        this.ctx = ctx;
+    constructor(memory) {
         this.memory = memory;
-        this.gain = ctx.createGain();
-        this.gain.gain.value = 0;
-        this.output = this.gain;
-        this.enabled = false;
+        this.rates = NTSC_TIMING.dmcRates; // the APU sets its region's table
+        this.reset();
+    }
+
+    reset() {
+        this.irqEnabled = false;
+        this.loop = false;
         this.dmcIRQ = false;
+        this.timerPeriod = this.rates[0];
+        this.timer = this.rates[0];
 
-        // DMC state
+        // Memory reader
         this.sampleAddress = 0xC000;
         this.sampleLength = 1;
-        this.currentLength = 0;
-        this.shiftRegister = 0;
-        this.bitsRemaining = 0;
+        this.currentAddress = 0xC000;
+        this.bytesRemaining = 0;
+        this.sampleBuffer = 0;
         this.bufferEmpty = true;
-        this.outputLevel = 64;
+
+        // Output unit
+        this.shiftRegister = 0;
+        this.bitsRemaining = 8;
+        this.silence = true;
+        this.outputLevel = 0;
     }
 
     write(addr, value) {
@@ -210,7 +753,8 @@ class DMCChannel {
             case 0x4010:
                 this.irqEnabled = (value & 0x80) !== 0;
                 this.loop = (value & 0x40) !== 0;
-                this.rate = value & 0x0F;
+                this.timerPeriod = this.rates[value & 0x0F];
+                if (!this.irqEnabled) this.dmcIRQ = false;
                 break;
             case 0x4011:
                 this.outputLevel = value & 0x7F;
@@ -224,56 +768,72 @@ class DMCChannel {
         }
     }
 
+    // "Enabled" in $4015 terms means bytes are left to play
+    get enabled() {
+        return this.bytesRemaining > 0;
+    }
+
     setEnabled(on) {
-        this.enabled = !!on;
-        if (this.enabled && this.currentLength === 0) {
+        if (!on) {
+            this.bytesRemaining = 0;
+        } else if (this.bytesRemaining === 0) {
             this.restartSample();
+            this.fetchSample();
         }
     }
 
     restartSample() {
         this.currentAddress = this.sampleAddress;
-        this.currentLength = this.sampleLength;
+        this.bytesRemaining = this.sampleLength;
     }
 
+    // Called every CPU cycle; the output unit is clocked at the rate-table period
     step() {
-        if (!this.enabled) return;
-
-        if (this.bitsRemaining === 0) {
-            if (this.bufferEmpty) {
-                this.fetchSample();
-            }
-            if (!this.bufferEmpty) {
-                this.shiftRegister = this.sampleBuffer;
-                this.bitsRemaining = 8;
-                this.bufferEmpty = true;
-            }
-        }
+        if (--this.timer > 0) return;
+        this.timer = this.timerPeriod;
 
-        if (this.bitsRemaining > 0) {
+        if (!this.silence) {
             if (this.shiftRegister & 1) {
                 if (this.outputLevel <= 125) this.outputLevel += 2;
             } else {
                 if (this.outputLevel >= 2) this.outputLevel -= 2;
             }
-            this.shiftRegister >>= 1;
-            this.bitsRemaining--;
         }
+        this.shiftRegister >>= 1;
+
+        if (--this.bitsRemaining === 0) {
+            // Start a new output cycle from the sample buffer
+            this.bitsRemaining = 8;
+            if (this.bufferEmpty) {
+                this.silence = true;
+            } else {
+                this.silence = false;
+                this.shiftRegister = this.sampleBuffer;
+                this.bufferEmpty = true;
+                this.fetchSample();
+            }
+        }
+    }
+
+    output() {
+        return this.outputLevel;
     }
 
+    // Refill the sample buffer. The fetch is a DMA that halts the CPU, which
+    // the bus accounts for in dmcRead().
     fetchSample() {
-        if (this.currentLength > 0) {
-            this.sampleBuffer = this.memory.read(this.currentAddress);
-            this.currentAddress++;
-            if (this.currentAddress > 0xFFFF) this.currentAddress = 0x8000;
-            this.currentLength--;
-            this.bufferEmpty = false;
-            if (this.currentLength === 0) {
-                if (this.loop) {
-                    this.restartSample();
-                } else if (this.irqEnabled) {
-                    this.dmcIRQ = true;
-                }
+        if (!this.bufferEmpty || this.bytesRemaining === 0 || !this.memory) return;
+        this.sampleBuffer = this.memory.dmcRead
+            ? this.memory.dmcRead(this.currentAddress)
+            : this.memory.read(this.currentAddress);
+        this.bufferEmpty = false;
+        this.currentAddress = this.currentAddress === 0xFFFF ? 0x8000 : this.currentAddress + 1;
+        this.bytesRemaining--;
+        if (this.bytesRemaining === 0) {
+            if (this.loop) {
+                this.restartSample();
+            } else if (this.irqEnabled) {
+                this.dmcIRQ = true;
             }
         }
     }
@@ -0,0 +1,123 @@
+// batterystore.js
+// Keeps battery-backed PRG-RAM across page loads. Saves live in IndexedDB,
+// one record per game keyed by the ROM's PRG+CHR CRC32, and hold the raw RAM
+// bytes, which is the same layout as a .sav file.
+//
+// BatterySaver ties a store to the emulator hub: restore() loads the save
+// before the game boots, and after start() the RAM is written back a few
+// seconds after the game changes it and when the page is hidden or closed.
+
+const DB_NAME = 'lemonnes';
+const DB_VERSION = 1;
+const STORE = 'battery';
+
+export class BatteryStore {
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      const db = new Promise((resolve, reject) => {
+        if (!this.indexedDB) throw new Error('IndexedDB is not available');
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Don't cache a failed open (blocked, quota, private mode); the next request tries again
+      db.catch(() => {
+        if (this._db === db) this._db = null;
+      });
+      this._db = db;
+    }
+    return this._db;
+  }
+
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /** @returns {Promise<Uint8Array|null>} */
+  async load(key) {
+    const data = await this._request('readonly', (store) => store.get(key));
+    return data ? new Uint8Array(data) : null;
+  }
+
+  save(key, bytes) {
+    return this._request('readwrite', (store) => store.put(bytes.slice().buffer, key));
+  }
+
+  remove(key) {
+    return this._request('readwrite', (store) => store.delete(key));
+  }
+}
+
+export class BatterySaver {
+  /**
+   * @param {import('./emulator-.js').Emulator} hub
+   * @param {BatteryStore} [store]
+   * @param {Object} [opts]
+   * @param {number} [opts.interval=5000] - ms between checks for unsaved writes
+   */
+  constructor(hub, store = new BatteryStore(), { interval = 5000 } = {}) {
+    this.hub = hub;
+    this.store = store;
+    this.interval = interval;
+    this._timer = null;
+    this._onHide = () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    };
+    this._onPageHide = () => this.flush();
+  }
+
+  get cart() {
+    return this.hub.bus.cartridge;
+  }
+
+  /** Load the stored save for the current ROM. Resolves to true if there was one. */
+  async restore() {
+    if (!this.cart || !this.cart.batteryRAM) return false;
+    const bytes = await this.store.load(this.hub.romHash);
+    if (!bytes) return false;
+    this.hub.importBatteryRAM(bytes);
+    return true;
+  }
+
+  /** Write the RAM back if the game changed it since the last save. */
+  async flush() {
+    const cart = this.cart;
+    if (!cart || !cart.sramDirty) return;
+    const bytes = this.hub.exportBatteryRAM();
+    if (!bytes) return;
+    cart.sramDirty = false;
+    try {
+      await this.store.save(this.hub.romHash, bytes);
+    } catch (err) {
+      cart.sramDirty = true;
+      console.warn('Battery save failed:', err);
+    }
+  }
+
+  start() {
+    this.stop();
+    this._timer = setInterval(() => this.flush(), this.interval);
+    document.addEventListener('visibilitychange', this._onHide);
+    window.addEventListener('pagehide', this._onPageHide);
+  }
+
+  stop() {
+    if (this._timer !== null) clearInterval(this._timer);
+    this._timer = null;
+    if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', this._onHide);
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', this._onPageHide);
+  }
+}
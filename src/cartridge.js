@@ -0,0 +1,101 @@
+// cartridge.js
+// iNES cartridge: PRG/CHR data, work RAM and the mapper that banks them.
+
+import { createMapper } from './mappers/index.js';
+import { parseHeader } from './header.js';
+import { romChecksum, lookupGame, correctHeader } from './gamedb.js';
+
+export default class Cartridge {
+    constructor(bytes) {
+        const parsed = parseHeader(bytes);
+        // A known dump overrides the header's board description
+        const { crc32, sha1 } = romChecksum(bytes, parsed);
+        this.crc32 = crc32;
+        this.sha1 = sha1;
+        this.game = lookupGame(crc32, sha1);
+        const { header, corrections } = this.game
+            ? correctHeader(parsed, this.game)
+            : { header: parsed, corrections: [] };
+        this.header = header;
+        this.corrections = corrections;
+
+        this.mapperId = header.mapper;
+        this.submapper = header.submapper;
+        this.mirror = header.mirroring;
+        this.battery = header.battery;
+
+        let offset = 16 + (header.trainer ? 512 : 0);
+        const prgSize = header.prgRomSize;
+        const chrSize = header.chrRomSize;
+        if (prgSize === 0 || bytes.length < offset + prgSize + chrSize) {
+            throw new Error('ROM file is truncated');
+        }
+
+        this.prg = bytes.slice(offset, offset + prgSize);
+        offset += prgSize;
+
+        // CHR-ROM wins when a board has both; otherwise the RAM size comes from the header
+        this.chrRAM = chrSize === 0;
+        this.chr = this.chrRAM
+            ? new Uint8Array(header.chrRamSize + header.chrNvramSize || 0x2000)
+            : bytes.slice(offset, offset + chrSize);
+        // Work RAM first, battery-backed RAM after it
+        this.sram = new Uint8Array(header.prgRamSize + header.prgNvramSize);
+        // Set by the mapper on every $6000-$7FFF write; hosts clear it after saving
+        this.sramDirty = false;
+
+        this.mapper = createMapper(this);
+    }
+
+    reset() {
+        this.mapper.reset();
+    }
+
+    // Battery-backed PRG-RAM: the part of sram after the work RAM, or null
+    // when the board has no battery. A .sav file is exactly these bytes.
+    get batteryRAM() {
+        if (!this.battery || this.sram.length === 0) return null;
+        const nvram = this.sram.subarray(this.header.prgRamSize);
+        return nvram.length ? nvram : this.sram;
+    }
+
+    // Restore battery RAM from a .sav; shorter files fill the start, extra bytes are dropped
+    loadBatteryRAM(bytes) {
+        const ram = this.batteryRAM;
+        if (!ram) throw new Error('Cartridge has no battery-backed RAM');
+        ram.fill(0);
+        ram.set(bytes.subarray(0, ram.length));
+        this.sramDirty = false;
+    }
+
+    // CPU $4020-$FFFF
+    cpuRead(addr) {
+        if (addr >= 0x8000) return this.mapper.prgRead(addr);
+        if (addr >= 0x6000) return this.mapper.ramRead(addr);
+        return this.mapper.expansionRead(addr);
+    }
+
+    cpuWrite(addr, value) {
+        if (addr >= 0x8000) this.mapper.prgWrite(addr, value);
+        else if (addr >= 0x6000) this.mapper.ramWrite(addr, value);
+        else this.mapper.expansionWrite(addr, value);
+    }
+
+    // PPU $0000-$1FFF (pattern tables)
+    ppuRead(addr) {
+        return this.mapper.chrRead(addr);
+    }
+
+    ppuWrite(addr, value) {
+        this.mapper.chrWrite(addr, value);
+    }
+
+    // PPU $2000-$3EFF (nametables); index is the CIRAM offset from mirroring
+    ntRead(addr, ciram, index) {
+        return this.mapper.ntRead(addr, ciram, index);
+    }
+
+    ntWrite(addr, value, ciram, index) {
+        this.mapper.ntWrite(addr, value, ciram, index);
+    }
+}
@@ -13,6 +13,24 @@ class CPU {
     this.status = 0x24; // Processor Status
 
     this.cycles = 0;
+    this.stall = 0;       // cycles the bus holds the CPU (OAM DMA)
+    this.pageCrossed = 0; // 1 when the last indexed address crossed a page
+
+    // Unofficial opcodes run by default. With strictOpcodes set, the first one
+    // halts the CPU instead so compatibility gaps show up as a diagnostic.
+    // JAM/KIL opcodes always halt, as they do on hardware.
+    this.strictOpcodes = false;
+    this.halted = null; // { pc, opcode, reason } once halted
+
+    // Interrupt inputs. The host reports /NMI edges and the /IRQ level; both
+    // are acted on at the next instruction boundary.
+    this.nmiPending = false;
+    this.irqLevel = false;
+    this.irqMask = true;  // the I flag as the interrupt poll saw it
+  }
+
+  connectBus(bus) {
+    this.memory = bus;
   }
 
   reset() {
@@ -22,6 +40,12 @@ class CPU {
     this.SP = 0xFD;
     this.status = 0x24;
     this.PC = this.readWord(0xFFFC); // Reset vector
+    this.cycles = 7;
+    this.stall = 0;
+    this.halted = null;
+    this.nmiPending = false;
+    this.irqLevel = false;
+    this.irqMask = true;
   }
 
   read(addr) {
@@ -47,6 +71,11 @@ class CPU {
     return (this.status & flag) !== 0;
   }
 
+  setZN(value) {
+    this.setFlag(CPU.FLAGS.Z, (value & 0xFF) === 0);
+    this.setFlag(CPU.FLAGS.N, value & 0x80);
+  }
+
   // Status flags
   static FLAGS = {
     C: 1 << 0, // Carry
@@ -60,154 +89,718 @@ class CPU {
   };
 
   step() {
-    const opcode = this.read(this.PC++);
-    return this.execute(opcode);
+    if (this.halted || this.stall > 0) {
+      if (this.stall > 0) this.stall--;
+      this.cycles++;
+      return 1;
+    }
+    let cycles;
+    if (this.nmiPending) {
+      this.nmiPending = false;
+      cycles = this.interrupt(0xFFFA);
+    } else if (this.irqLevel && !this.irqMask) {
+      cycles = this.interrupt(0xFFFE);
+    } else {
+      const opcode = this.read(this.PC++);
+      const maskBefore = this.getFlag(CPU.FLAGS.I);
+      cycles = this.execute(opcode);
+      // CLI, SEI and PLP change I after the poll, so the new value only gates
+      // interrupts from the following instruction on. RTI's takes effect at once.
+      const delayed = opcode === 0x58 || opcode === 0x78 || opcode === 0x28;
+      this.irqMask = delayed ? maskBefore : this.getFlag(CPU.FLAGS.I);
+    }
+    this.cycles += cycles;
+    return cycles;
+  }
+
+  // ─── Addressing modes ──────────────────────────────────────────────────────
+  // The *Addr helpers consume the operand bytes and return the effective
+  // address. Indexed modes set this.pageCrossed so read instructions can add
+  // their extra cycle.
+
+  getImmediate() {
+    return this.read(this.PC++);
+  }
+
+  getZeroPage() {
+    return this.read(this.read(this.PC++));
+  }
+
+  getZeroPageAddr() {
+    return this.read(this.PC++);
+  }
+
+  getZeroPageXAddr() {
+    return (this.read(this.PC++) + this.X) & 0xFF;
+  }
+
+  getZeroPageYAddr() {
+    return (this.read(this.PC++) + this.Y) & 0xFF;
+  }
+
+  getAbsoluteAddr() {
+    const addr = this.readWord(this.PC);
+    this.PC += 2;
+    return addr;
+  }
+
+  getAbsolute() {
+    return this.read(this.getAbsoluteAddr());
+  }
+
+  getAbsoluteXAddr() {
+    return this.indexed(this.getAbsoluteAddr(), this.X);
+  }
+
+  getAbsoluteYAddr() {
+    return this.indexed(this.getAbsoluteAddr(), this.Y);
+  }
+
+  // (zp,X): pointer lives in zero page and wraps within it
+  getIndirectXAddr() {
+    const ptr = (this.read(this.PC++) + this.X) & 0xFF;
+    return this.read(ptr) | (this.read((ptr + 1) & 0xFF) << 8);
+  }
+
+  // (zp),Y
+  getIndirectYAddr() {
+    const ptr = this.read(this.PC++);
+    const base = this.read(ptr) | (this.read((ptr + 1) & 0xFF) << 8);
+    return this.indexed(base, this.Y);
+  }
+
+  // Base pointer of (zp),Y without indexing, for the SHA store
+  getIndirectBaseAddr() {
+    const ptr = this.read(this.PC++);
+    return this.read(ptr) | (this.read((ptr + 1) & 0xFF) << 8);
+  }
+
+  // JMP (abs): the high byte is fetched without carrying into the next page
+  getIndirectAddr() {
+    const ptr = this.getAbsoluteAddr();
+    const low = this.read(ptr);
+    const high = this.read((ptr & 0xFF00) | ((ptr + 1) & 0xFF));
+    return (high << 8) | low;
+  }
+
+  indexed(base, index) {
+    const addr = (base + index) & 0xFFFF;
+    this.pageCrossed = (base & 0xFF00) !== (addr & 0xFF00) ? 1 : 0;
+    return addr;
   }
 
+  // ─── Execution ─────────────────────────────────────────────────────────────
+
   execute(opcode) {
+    this.pageCrossed = 0;
+
     switch (opcode) {
-      case 0xA9: // LDA Immediate
-        const value = this.read(this.PC++);
-        this.A = value;
-        this.setFlag(CPU.FLAGS.Z, this.A === 0);
-        this.setFlag(CPU.FLAGS.N, this.A & 0x80);
+      // LDA
+      case 0xA9: this.lda(this.getImmediate()); return 2;
+      case 0xA5: this.lda(this.read(this.getZeroPageAddr())); return 3;
+      case 0xB5: this.lda(this.read(this.getZeroPageXAddr())); return 4;
+      case 0xAD: this.lda(this.read(this.getAbsoluteAddr())); return 4;
+      case 0xBD: this.lda(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0xB9: this.lda(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0xA1: this.lda(this.read(this.getIndirectXAddr())); return 6;
+      case 0xB1: this.lda(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // LDX
+      case 0xA2: this.ldx(this.getImmediate()); return 2;
+      case 0xA6: this.ldx(this.read(this.getZeroPageAddr())); return 3;
+      case 0xB6: this.ldx(this.read(this.getZeroPageYAddr())); return 4;
+      case 0xAE: this.ldx(this.read(this.getAbsoluteAddr())); return 4;
+      case 0xBE: this.ldx(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+
+      // LDY
+      case 0xA0: this.ldy(this.getImmediate()); return 2;
+      case 0xA4: this.ldy(this.read(this.getZeroPageAddr())); return 3;
+      case 0xB4: this.ldy(this.read(this.getZeroPageXAddr())); return 4;
+      case 0xAC: this.ldy(this.read(this.getAbsoluteAddr())); return 4;
+      case 0xBC: this.ldy(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+
+      // STA
+      case 0x85: this.write(this.getZeroPageAddr(), this.A); return 3;
+      case 0x95: this.write(this.getZeroPageXAddr(), this.A); return 4;
+      case 0x8D: this.write(this.getAbsoluteAddr(), this.A); return 4;
+      case 0x9D: this.write(this.getAbsoluteXAddr(), this.A); return 5;
+      case 0x99: this.write(this.getAbsoluteYAddr(), this.A); return 5;
+      case 0x81: this.write(this.getIndirectXAddr(), this.A); return 6;
+      case 0x91: this.write(this.getIndirectYAddr(), this.A); return 6;
+
+      // STX
+      case 0x86: this.write(this.getZeroPageAddr(), this.X); return 3;
+      case 0x96: this.write(this.getZeroPageYAddr(), this.X); return 4;
+      case 0x8E: this.write(this.getAbsoluteAddr(), this.X); return 4;
+
+      // STY
+      case 0x84: this.write(this.getZeroPageAddr(), this.Y); return 3;
+      case 0x94: this.write(this.getZeroPageXAddr(), this.Y); return 4;
+      case 0x8C: this.write(this.getAbsoluteAddr(), this.Y); return 4;
+
+      // Register transfers
+      case 0xAA: this.X = this.A; this.setZN(this.X); return 2; // TAX
+      case 0xA8: this.Y = this.A; this.setZN(this.Y); return 2; // TAY
+      case 0x8A: this.A = this.X; this.setZN(this.A); return 2; // TXA
+      case 0x98: this.A = this.Y; this.setZN(this.A); return 2; // TYA
+      case 0xBA: this.X = this.SP; this.setZN(this.X); return 2; // TSX
+      case 0x9A: this.SP = this.X; return 2;                     // TXS
+
+      // Stack
+      case 0x48: // PHA
+        this.push(this.A);
+        return 3;
+
+      case 0x08: // PHP (B and U are set in the pushed copy)
+        this.push(this.status | CPU.FLAGS.B | CPU.FLAGS.U);
+        return 3;
+
+      case 0x68: // PLA
+        this.A = this.pull();
+        this.setZN(this.A);
+        return 4;
+
+      case 0x28: // PLP
+        this.pullStatus();
+        return 4;
+
+      // AND
+      case 0x29: this.and(this.getImmediate()); return 2;
+      case 0x25: this.and(this.read(this.getZeroPageAddr())); return 3;
+      case 0x35: this.and(this.read(this.getZeroPageXAddr())); return 4;
+      case 0x2D: this.and(this.read(this.getAbsoluteAddr())); return 4;
+      case 0x3D: this.and(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0x39: this.and(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0x21: this.and(this.read(this.getIndirectXAddr())); return 6;
+      case 0x31: this.and(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // ORA
+      case 0x09: this.ora(this.getImmediate()); return 2;
+      case 0x05: this.ora(this.read(this.getZeroPageAddr())); return 3;
+      case 0x15: this.ora(this.read(this.getZeroPageXAddr())); return 4;
+      case 0x0D: this.ora(this.read(this.getAbsoluteAddr())); return 4;
+      case 0x1D: this.ora(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0x19: this.ora(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0x01: this.ora(this.read(this.getIndirectXAddr())); return 6;
+      case 0x11: this.ora(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // EOR
+      case 0x49: this.eor(this.getImmediate()); return 2;
+      case 0x45: this.eor(this.read(this.getZeroPageAddr())); return 3;
+      case 0x55: this.eor(this.read(this.getZeroPageXAddr())); return 4;
+      case 0x4D: this.eor(this.read(this.getAbsoluteAddr())); return 4;
+      case 0x5D: this.eor(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0x59: this.eor(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0x41: this.eor(this.read(this.getIndirectXAddr())); return 6;
+      case 0x51: this.eor(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // ADC
+      case 0x69: this.adc(this.getImmediate()); return 2;
+      case 0x65: this.adc(this.read(this.getZeroPageAddr())); return 3;
+      case 0x75: this.adc(this.read(this.getZeroPageXAddr())); return 4;
+      case 0x6D: this.adc(this.read(this.getAbsoluteAddr())); return 4;
+      case 0x7D: this.adc(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0x79: this.adc(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0x61: this.adc(this.read(this.getIndirectXAddr())); return 6;
+      case 0x71: this.adc(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // SBC
+      case 0xE9: this.sbc(this.getImmediate()); return 2;
+      case 0xE5: this.sbc(this.read(this.getZeroPageAddr())); return 3;
+      case 0xF5: this.sbc(this.read(this.getZeroPageXAddr())); return 4;
+      case 0xED: this.sbc(this.read(this.getAbsoluteAddr())); return 4;
+      case 0xFD: this.sbc(this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0xF9: this.sbc(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0xE1: this.sbc(this.read(this.getIndirectXAddr())); return 6;
+      case 0xF1: this.sbc(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // CMP
+      case 0xC9: this.compare(this.A, this.getImmediate()); return 2;
+      case 0xC5: this.compare(this.A, this.read(this.getZeroPageAddr())); return 3;
+      case 0xD5: this.compare(this.A, this.read(this.getZeroPageXAddr())); return 4;
+      case 0xCD: this.compare(this.A, this.read(this.getAbsoluteAddr())); return 4;
+      case 0xDD: this.compare(this.A, this.read(this.getAbsoluteXAddr())); return 4 + this.pageCrossed;
+      case 0xD9: this.compare(this.A, this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0xC1: this.compare(this.A, this.read(this.getIndirectXAddr())); return 6;
+      case 0xD1: this.compare(this.A, this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+
+      // CPX
+      case 0xE0: this.compare(this.X, this.getImmediate()); return 2;
+      case 0xE4: this.compare(this.X, this.read(this.getZeroPageAddr())); return 3;
+      case 0xEC: this.compare(this.X, this.read(this.getAbsoluteAddr())); return 4;
+
+      // CPY
+      case 0xC0: this.compare(this.Y, this.getImmediate()); return 2;
+      case 0xC4: this.compare(this.Y, this.read(this.getZeroPageAddr())); return 3;
+      case 0xCC: this.compare(this.Y, this.read(this.getAbsoluteAddr())); return 4;
+
+      // BIT
+      case 0x24: this.bit(this.read(this.getZeroPageAddr())); return 3;
+      case 0x2C: this.bit(this.read(this.getAbsoluteAddr())); return 4;
+
+      // INC / DEC (memory)
+      case 0xE6: this.modify(this.getZeroPageAddr(), (v) => this.inc(v)); return 5;
+      case 0xF6: this.modify(this.getZeroPageXAddr(), (v) => this.inc(v)); return 6;
+      case 0xEE: this.modify(this.getAbsoluteAddr(), (v) => this.inc(v)); return 6;
+      case 0xFE: this.modify(this.getAbsoluteXAddr(), (v) => this.inc(v)); return 7;
+      case 0xC6: this.modify(this.getZeroPageAddr(), (v) => this.dec(v)); return 5;
+      case 0xD6: this.modify(this.getZeroPageXAddr(), (v) => this.dec(v)); return 6;
+      case 0xCE: this.modify(this.getAbsoluteAddr(), (v) => this.dec(v)); return 6;
+      case 0xDE: this.modify(this.getAbsoluteXAddr(), (v) => this.dec(v)); return 7;
+
+      // INX / INY / DEX / DEY
+      case 0xE8: this.X = this.inc(this.X); return 2;
+      case 0xC8: this.Y = this.inc(this.Y); return 2;
+      case 0xCA: this.X = this.dec(this.X); return 2;
+      case 0x88: this.Y = this.dec(this.Y); return 2;
+
+      // ASL
+      case 0x0A: this.A = this.asl(this.A); return 2;
+      case 0x06: this.modify(this.getZeroPageAddr(), (v) => this.asl(v)); return 5;
+      case 0x16: this.modify(this.getZeroPageXAddr(), (v) => this.asl(v)); return 6;
+      case 0x0E: this.modify(this.getAbsoluteAddr(), (v) => this.asl(v)); return 6;
+      case 0x1E: this.modify(this.getAbsoluteXAddr(), (v) => this.asl(v)); return 7;
+
+      // LSR
+      case 0x4A: this.A = this.lsr(this.A); return 2;
+      case 0x46: this.modify(this.getZeroPageAddr(), (v) => this.lsr(v)); return 5;
+      case 0x56: this.modify(this.getZeroPageXAddr(), (v) => this.lsr(v)); return 6;
+      case 0x4E: this.modify(this.getAbsoluteAddr(), (v) => this.lsr(v)); return 6;
+      case 0x5E: this.modify(this.getAbsoluteXAddr(), (v) => this.lsr(v)); return 7;
+
+      // ROL
+      case 0x2A: this.A = this.rol(this.A); return 2;
+      case 0x26: this.modify(this.getZeroPageAddr(), (v) => this.rol(v)); return 5;
+      case 0x36: this.modify(this.getZeroPageXAddr(), (v) => this.rol(v)); return 6;
+      case 0x2E: this.modify(this.getAbsoluteAddr(), (v) => this.rol(v)); return 6;
+      case 0x3E: this.modify(this.getAbsoluteXAddr(), (v) => this.rol(v)); return 7;
+
+      // ROR
+      case 0x6A: this.A = this.ror(this.A); return 2;
+      case 0x66: this.modify(this.getZeroPageAddr(), (v) => this.ror(v)); return 5;
+      case 0x76: this.modify(this.getZeroPageXAddr(), (v) => this.ror(v)); return 6;
+      case 0x6E: this.modify(this.getAbsoluteAddr(), (v) => this.ror(v)); return 6;
+      case 0x7E: this.modify(this.getAbsoluteXAddr(), (v) => this.ror(v)); return 7;
+
+      // Jumps and subroutines
+      case 0x4C: // JMP Absolute
+        this.PC = this.getAbsoluteAddr();
+        return 3;
+
+      case 0x6C: // JMP Indirect
+        this.PC = this.getIndirectAddr();
+        return 5;
+
+      case 0x20: { // JSR (pushes the address of its last operand byte)
+        const target = this.getAbsoluteAddr();
+        this.pushWord((this.PC - 1) & 0xFFFF);
+        this.PC = target;
+        return 6;
+      }
+
+      case 0x60: // RTS
+        this.PC = (this.pullWord() + 1) & 0xFFFF;
+        return 6;
+
+      case 0x40: // RTI
+        this.pullStatus();
+        this.PC = this.pullWord();
+        return 6;
+
+      case 0x00: // BRK
+        this.PC++;
+        this.pushWord(this.PC);
+        this.push(this.status | CPU.FLAGS.B | CPU.FLAGS.U);
+        this.setFlag(CPU.FLAGS.I, true);
+        this.PC = this.readWord(0xFFFE);
+        return 7;
+
+      // Branches
+      case 0x10: return this.branch(!this.getFlag(CPU.FLAGS.N)); // BPL
+      case 0x30: return this.branch(this.getFlag(CPU.FLAGS.N));  // BMI
+      case 0x50: return this.branch(!this.getFlag(CPU.FLAGS.V)); // BVC
+      case 0x70: return this.branch(this.getFlag(CPU.FLAGS.V));  // BVS
+      case 0x90: return this.branch(!this.getFlag(CPU.FLAGS.C)); // BCC
+      case 0xB0: return this.branch(this.getFlag(CPU.FLAGS.C));  // BCS
+      case 0xD0: return this.branch(!this.getFlag(CPU.FLAGS.Z)); // BNE
+      case 0xF0: return this.branch(this.getFlag(CPU.FLAGS.Z));  // BEQ
+
+      // Flag instructions
+      case 0x18: this.setFlag(CPU.FLAGS.C, false); return 2; // CLC
+      case 0x38: this.setFlag(CPU.FLAGS.C, true); return 2;  // SEC
+      case 0x58: this.setFlag(CPU.FLAGS.I, false); return 2; // CLI
+      case 0x78: this.setFlag(CPU.FLAGS.I, true); return 2;  // SEI
+      case 0xB8: this.setFlag(CPU.FLAGS.V, false); return 2; // CLV
+      case 0xD8: this.setFlag(CPU.FLAGS.D, false); return 2; // CLD
+      case 0xF8: this.setFlag(CPU.FLAGS.D, true); return 2;  // SED
+
+      case 0xEA: // NOP
         return 2;
 
-      case 0xAA: // TAX
-        this.X = this.A;
-        this.setFlag(CPU.FLAGS.Z, this.X === 0);
-        this.setFlag(CPU.FLAGS.N, this.X & 0x80);
+      default:
+        return this.executeUnofficial(opcode);
+    }
+  }
+
+  // Undocumented opcodes. The unstable SHX/SHY/SHA/TAS/XAA/LXA group follows
+  // the behaviour most NMOS 2A03s show.
+  executeUnofficial(opcode) {
+    if (CPU.JAM_OPCODES.includes(opcode)) return this.halt(opcode, 'JAM');
+    if (this.strictOpcodes) return this.halt(opcode, 'unofficial opcode');
+
+    switch (opcode) {
+      // LAX
+      case 0xA7: this.lax(this.read(this.getZeroPageAddr())); return 3;
+      case 0xB7: this.lax(this.read(this.getZeroPageYAddr())); return 4;
+      case 0xAF: this.lax(this.read(this.getAbsoluteAddr())); return 4;
+      case 0xBF: this.lax(this.read(this.getAbsoluteYAddr())); return 4 + this.pageCrossed;
+      case 0xA3: this.lax(this.read(this.getIndirectXAddr())); return 6;
+      case 0xB3: this.lax(this.read(this.getIndirectYAddr())); return 5 + this.pageCrossed;
+      case 0xAB: this.lax((this.A | 0xEE) & this.getImmediate()); return 2; // LXA
+
+      // SAX
+      case 0x87: this.write(this.getZeroPageAddr(), this.A & this.X); return 3;
+      case 0x97: this.write(this.getZeroPageYAddr(), this.A & this.X); return 4;
+      case 0x8F: this.write(this.getAbsoluteAddr(), this.A & this.X); return 4;
+      case 0x83: this.write(this.getIndirectXAddr(), this.A & this.X); return 6;
+
+      // DCP (DEC then CMP)
+      case 0xC7: this.dcp(this.getZeroPageAddr()); return 5;
+      case 0xD7: this.dcp(this.getZeroPageXAddr()); return 6;
+      case 0xCF: this.dcp(this.getAbsoluteAddr()); return 6;
+      case 0xDF: this.dcp(this.getAbsoluteXAddr()); return 7;
+      case 0xDB: this.dcp(this.getAbsoluteYAddr()); return 7;
+      case 0xC3: this.dcp(this.getIndirectXAddr()); return 8;
+      case 0xD3: this.dcp(this.getIndirectYAddr()); return 8;
+
+      // ISC (INC then SBC)
+      case 0xE7: this.isc(this.getZeroPageAddr()); return 5;
+      case 0xF7: this.isc(this.getZeroPageXAddr()); return 6;
+      case 0xEF: this.isc(this.getAbsoluteAddr()); return 6;
+      case 0xFF: this.isc(this.getAbsoluteXAddr()); return 7;
+      case 0xFB: this.isc(this.getAbsoluteYAddr()); return 7;
+      case 0xE3: this.isc(this.getIndirectXAddr()); return 8;
+      case 0xF3: this.isc(this.getIndirectYAddr()); return 8;
+
+      // SLO (ASL then ORA)
+      case 0x07: this.ora(this.modify(this.getZeroPageAddr(), (v) => this.asl(v))); return 5;
+      case 0x17: this.ora(this.modify(this.getZeroPageXAddr(), (v) => this.asl(v))); return 6;
+      case 0x0F: this.ora(this.modify(this.getAbsoluteAddr(), (v) => this.asl(v))); return 6;
+      case 0x1F: this.ora(this.modify(this.getAbsoluteXAddr(), (v) => this.asl(v))); return 7;
+      case 0x1B: this.ora(this.modify(this.getAbsoluteYAddr(), (v) => this.asl(v))); return 7;
+      case 0x03: this.ora(this.modify(this.getIndirectXAddr(), (v) => this.asl(v))); return 8;
+      case 0x13: this.ora(this.modify(this.getIndirectYAddr(), (v) => this.asl(v))); return 8;
+
+      // RLA (ROL then AND)
+      case 0x27: this.and(this.modify(this.getZeroPageAddr(), (v) => this.rol(v))); return 5;
+      case 0x37: this.and(this.modify(this.getZeroPageXAddr(), (v) => this.rol(v))); return 6;
+      case 0x2F: this.and(this.modify(this.getAbsoluteAddr(), (v) => this.rol(v))); return 6;
+      case 0x3F: this.and(this.modify(this.getAbsoluteXAddr(), (v) => this.rol(v))); return 7;
+      case 0x3B: this.and(this.modify(this.getAbsoluteYAddr(), (v) => this.rol(v))); return 7;
+      case 0x23: this.and(this.modify(this.getIndirectXAddr(), (v) => this.rol(v))); return 8;
+      case 0x33: this.and(this.modify(this.getIndirectYAddr(), (v) => this.rol(v))); return 8;
+
+      // SRE (LSR then EOR)
+      case 0x47: this.eor(this.modify(this.getZeroPageAddr(), (v) => this.lsr(v))); return 5;
+      case 0x57: this.eor(this.modify(this.getZeroPageXAddr(), (v) => this.lsr(v))); return 6;
+      case 0x4F: this.eor(this.modify(this.getAbsoluteAddr(), (v) => this.lsr(v))); return 6;
+      case 0x5F: this.eor(this.modify(this.getAbsoluteXAddr(), (v) => this.lsr(v))); return 7;
+      case 0x5B: this.eor(this.modify(this.getAbsoluteYAddr(), (v) => this.lsr(v))); return 7;
+      case 0x43: this.eor(this.modify(this.getIndirectXAddr(), (v) => this.lsr(v))); return 8;
+      case 0x53: this.eor(this.modify(this.getIndirectYAddr(), (v) => this.lsr(v))); return 8;
+
+      // RRA (ROR then ADC)
+      case 0x67: this.adc(this.modify(this.getZeroPageAddr(), (v) => this.ror(v))); return 5;
+      case 0x77: this.adc(this.modify(this.getZeroPageXAddr(), (v) => this.ror(v))); return 6;
+      case 0x6F: this.adc(this.modify(this.getAbsoluteAddr(), (v) => this.ror(v))); return 6;
+      case 0x7F: this.adc(this.modify(this.getAbsoluteXAddr(), (v) => this.ror(v))); return 7;
+      case 0x7B: this.adc(this.modify(this.getAbsoluteYAddr(), (v) => this.ror(v))); return 7;
+      case 0x63: this.adc(this.modify(this.getIndirectXAddr(), (v) => this.ror(v))); return 8;
+      case 0x73: this.adc(this.modify(this.getIndirectYAddr(), (v) => this.ror(v))); return 8;
+
+      // Multi-byte NOPs (the operand is still read)
+      case 0x1A: case 0x3A: case 0x5A: case 0x7A: case 0xDA: case 0xFA:
+        return 2;
+      case 0x80: case 0x82: case 0x89: case 0xC2: case 0xE2:
+        this.getImmediate();
+        return 2;
+      case 0x04: case 0x44: case 0x64:
+        this.read(this.getZeroPageAddr());
+        return 3;
+      case 0x14: case 0x34: case 0x54: case 0x74: case 0xD4: case 0xF4:
+        this.read(this.getZeroPageXAddr());
+        return 4;
+      case 0x0C:
+        this.read(this.getAbsoluteAddr());
+        return 4;
+      case 0x1C: case 0x3C: case 0x5C: case 0x7C: case 0xDC: case 0xFC:
+        this.read(this.getAbsoluteXAddr());
+        return 4 + this.pageCrossed;
+
+      // Immediate-mode combinations
+      case 0x0B: case 0x2B: // ANC
+        this.and(this.getImmediate());
+        this.setFlag(CPU.FLAGS.C, this.A & 0x80);
         return 2;
 
-      case 0xE8: // INX
-        this.X = (this.X + 1) & 0xFF;
-        this.setFlag(CPU.FLAGS.Z, this.X === 0);
-        this.setFlag(CPU.FLAGS.N, this.X & 0x80);
+      case 0x4B: // ALR
+        this.A = this.lsr(this.A & this.getImmediate());
         return 2;
 
-      default:
-        console.warn(`Unhandled opcode: ${opcode.toString(16)}`);
+      case 0x6B: { // ARR
+        const carry = this.getFlag(CPU.FLAGS.C) ? 0x80 : 0;
+        this.A = ((this.A & this.getImmediate()) >> 1) | carry;
+        this.setZN(this.A);
+        this.setFlag(CPU.FLAGS.C, this.A & 0x40);
+        this.setFlag(CPU.FLAGS.V, ((this.A >> 6) ^ (this.A >> 5)) & 1);
+        return 2;
+      }
+
+      case 0xCB: { // AXS
+        const value = this.getImmediate();
+        const ax = this.A & this.X;
+        this.setFlag(CPU.FLAGS.C, ax >= value);
+        this.X = (ax - value) & 0xFF;
+        this.setZN(this.X);
         return 2;
+      }
+
+      case 0x8B: // XAA
+        this.A = (this.A | 0xEE) & this.X & this.getImmediate();
+        this.setZN(this.A);
+        return 2;
+
+      case 0xEB: // SBC (same as $E9)
+        this.sbc(this.getImmediate());
+        return 2;
+
+      // Unstable stores: value is ANDed with the base address high byte + 1
+      case 0x9C: this.storeHigh(this.getAbsoluteAddr(), this.X, this.Y); return 5;                 // SHY
+      case 0x9E: this.storeHigh(this.getAbsoluteAddr(), this.Y, this.X); return 5;                 // SHX
+      case 0x9F: this.storeHigh(this.getAbsoluteAddr(), this.Y, this.A & this.X); return 5;        // SHA abs,Y
+      case 0x93: this.storeHigh(this.getIndirectBaseAddr(), this.Y, this.A & this.X); return 6;    // SHA (zp),Y
+      case 0x9B: // TAS
+        this.SP = this.A & this.X;
+        this.storeHigh(this.getAbsoluteAddr(), this.Y, this.SP);
+        return 5;
+
+      case 0xBB: { // LAS
+        const value = this.read(this.getAbsoluteYAddr()) & this.SP;
+        this.A = this.X = this.SP = value;
+        this.setZN(value);
+        return 4 + this.pageCrossed;
+      }
+
+      default:
+        return this.halt(opcode, 'unknown opcode');
     }
   }
-}
 
-export default CPU;
-getImmediate() {
-  return this.read(this.PC++);
-}
+  // Stops the CPU the way a JAM does and records where it happened; hosts
+  // report this.halted
+  halt(opcode, reason) {
+    const pc = (this.PC - 1) & 0xFFFF;
+    this.PC = pc;
+    this.halted = { pc, opcode, reason };
+    return 2;
+  }
 
-getZeroPage() {
-  return this.read(this.read(this.PC++));
-}
+  // Opcodes that lock up the 6502 until reset
+  static JAM_OPCODES = [0x02, 0x12, 0x22, 0x32, 0x42, 0x52, 0x62, 0x72, 0x92, 0xB2, 0xD2, 0xF2];
 
-getZeroPageAddr() {
-  return this.read(this.PC++);
-}
+  // ─── Instruction helpers ───────────────────────────────────────────────────
 
-getAbsoluteAddr() {
-  const addr = this.readWord(this.PC);
-  this.PC += 2;
-  return addr;
-}
+  lda(value) {
+    this.A = value;
+    this.setZN(this.A);
+  }
 
-getAbsolute() {
-  return this.read(this.getAbsoluteAddr());
-}
-execute(opcode) {
-  switch (opcode) {
-    case 0xA9: // LDA Immediate
-      this.A = this.getImmediate();
-      this.setFlag(CPU.FLAGS.Z, this.A === 0);
-      this.setFlag(CPU.FLAGS.N, this.A & 0x80);
-      return 2;
-
-    case 0x85: // STA Zero Page
-      this.write(this.getZeroPageAddr(), this.A);
-      return 3;
-
-    case 0x8D: // STA Absolute
-      this.write(this.getAbsoluteAddr(), this.A);
-      return 4;
-
-    case 0x4C: // JMP Absolute
-      this.PC = this.getAbsoluteAddr();
-      return 3;
-
-    case 0x00: // BRK
-      this.PC++;
-      this.pushWord(this.PC);
-      this.push(this.status | CPU.FLAGS.B);
-      this.setFlag(CPU.FLAGS.I, true);
-      this.PC = this.readWord(0xFFFE);
-      return 7;
-
-    case 0x69: // ADC Immediate
-      this.adc(this.getImmediate());
-      return 2;
-
-    case 0xE9: // SBC Immediate
-      this.sbc(this.getImmediate());
-      return 2;
-
-    case 0x48: // PHA
-      this.push(this.A);
-      return 3;
-
-    case 0x68: // PLA
-      this.A = this.pull();
-      this.setFlag(CPU.FLAGS.Z, this.A === 0);
-      this.setFlag(CPU.FLAGS.N, this.A & 0x80);
-      return 4;
-
-    default:
-      console.warn(`Unhandled opcode: ${opcode.toString(16)}`);
-      return 2;
+  ldx(value) {
+    this.X = value;
+    this.setZN(this.X);
   }
-}
-adc(value) {
-  const carry = this.getFlag(CPU.FLAGS.C) ? 1 : 0;
-  const result = this.A + value + carry;
-  this.setFlag(CPU.FLAGS.C, result > 0xFF);
-  this.setFlag(CPU.FLAGS.Z, (result & 0xFF) === 0);
-  this.setFlag(CPU.FLAGS.N, result & 0x80);
-  this.setFlag(CPU.FLAGS.V, (~(this.A ^ value) & (this.A ^ result)) & 0x80);
-  this.A = result & 0xFF;
-}
 
-sbc(value) {
-  this.adc(~value & 0xFF);
-}
-push(value) {
-  this.write(0x0100 + this.SP--, value);
-}
+  ldy(value) {
+    this.Y = value;
+    this.setZN(this.Y);
+  }
 
-pull() {
-  return this.read(0x0100 + ++this.SP);
-}
+  and(value) {
+    this.A &= value;
+    this.setZN(this.A);
+  }
 
-pushWord(value) {
-  this.push((value >> 8) & 0xFF);
-  this.push(value & 0xFF);
-}
+  ora(value) {
+    this.A |= value;
+    this.setZN(this.A);
+  }
 
-pullWord() {
-  const low = this.pull();
-  const high = this.pull();
-  return (high << 8) | low;
-}
-nmi() {
-  this.pushWord(this.PC);
-  this.push(this.status);
-  this.setFlag(CPU.FLAGS.I, true);
-  this.PC = this.readWord(0xFFFA);
-}
+  eor(value) {
+    this.A ^= value;
+    this.setZN(this.A);
+  }
+
+  adc(value) {
+    const carry = this.getFlag(CPU.FLAGS.C) ? 1 : 0;
+    const result = this.A + value + carry;
+    this.setFlag(CPU.FLAGS.C, result > 0xFF);
+    this.setFlag(CPU.FLAGS.Z, (result & 0xFF) === 0);
+    this.setFlag(CPU.FLAGS.N, result & 0x80);
+    this.setFlag(CPU.FLAGS.V, (~(this.A ^ value) & (this.A ^ result)) & 0x80);
+    this.A = result & 0xFF;
+  }
+
+  sbc(value) {
+    this.adc(~value & 0xFF);
+  }
+
+  lax(value) {
+    this.A = this.X = value;
+    this.setZN(value);
+  }
+
+  dcp(addr) {
+    this.compare(this.A, this.modify(addr, (v) => (v - 1) & 0xFF));
+  }
+
+  isc(addr) {
+    this.sbc(this.modify(addr, (v) => (v + 1) & 0xFF));
+  }
+
+  // SHX/SHY/SHA/TAS store. When indexing crosses a page the stored value
+  // replaces the high byte of the target address.
+  storeHigh(base, index, value) {
+    let addr = (base + index) & 0xFFFF;
+    const result = value & ((base >> 8) + 1) & 0xFF;
+    if ((base & 0xFF00) !== (addr & 0xFF00)) addr = (result << 8) | (addr & 0xFF);
+    this.write(addr, result);
+  }
+
+  compare(register, value) {
+    this.setFlag(CPU.FLAGS.C, register >= value);
+    this.setZN((register - value) & 0xFF);
+  }
+
+  bit(value) {
+    this.setFlag(CPU.FLAGS.Z, (this.A & value) === 0);
+    this.setFlag(CPU.FLAGS.V, value & 0x40);
+    this.setFlag(CPU.FLAGS.N, value & 0x80);
+  }
+
+  inc(value) {
+    const result = (value + 1) & 0xFF;
+    this.setZN(result);
+    return result;
+  }
+
+  dec(value) {
+    const result = (value - 1) & 0xFF;
+    this.setZN(result);
+    return result;
+  }
 
-irq() {
-  if (!this.getFlag(CPU.FLAGS.I)) {
+  asl(value) {
+    this.setFlag(CPU.FLAGS.C, value & 0x80);
+    const result = (value << 1) & 0xFF;
+    this.setZN(result);
+    return result;
+  }
+
+  lsr(value) {
+    this.setFlag(CPU.FLAGS.C, value & 0x01);
+    const result = value >> 1;
+    this.setZN(result);
+    return result;
+  }
+
+  rol(value) {
+    const carry = this.getFlag(CPU.FLAGS.C) ? 1 : 0;
+    this.setFlag(CPU.FLAGS.C, value & 0x80);
+    const result = ((value << 1) | carry) & 0xFF;
+    this.setZN(result);
+    return result;
+  }
+
+  ror(value) {
+    const carry = this.getFlag(CPU.FLAGS.C) ? 0x80 : 0;
+    this.setFlag(CPU.FLAGS.C, value & 0x01);
+    const result = (value >> 1) | carry;
+    this.setZN(result);
+    return result;
+  }
+
+  // Read-modify-write on memory. The 6502 writes the unmodified value back
+  // before the result; mappers such as MMC1 can see that dummy write.
+  modify(addr, op) {
+    const value = this.read(addr);
+    this.write(addr, value);
+    const result = op(value);
+    this.write(addr, result);
+    return result;
+  }
+
+  // Returns the cycles used: 2, +1 when taken, +1 more when the target is on
+  // another page.
+  branch(condition) {
+    const offset = this.getImmediate();
+    if (!condition) return 2;
+
+    const target = (this.PC + (offset < 0x80 ? offset : offset - 0x100)) & 0xFFFF;
+    const cycles = (target & 0xFF00) !== (this.PC & 0xFF00) ? 4 : 3;
+    this.PC = target;
+    return cycles;
+  }
+
+  // ─── Stack ─────────────────────────────────────────────────────────────────
+
+  push(value) {
+    this.write(0x0100 + this.SP, value);
+    this.SP = (this.SP - 1) & 0xFF;
+  }
+
+  pull() {
+    this.SP = (this.SP + 1) & 0xFF;
+    return this.read(0x0100 + this.SP);
+  }
+
+  pushWord(value) {
+    this.push((value >> 8) & 0xFF);
+    this.push(value & 0xFF);
+  }
+
+  pullWord() {
+    const low = this.pull();
+    const high = this.pull();
+    return (high << 8) | low;
+  }
+
+  // B does not exist in the status register; U always reads back as set
+  pullStatus() {
+    this.status = (this.pull() & ~CPU.FLAGS.B) | CPU.FLAGS.U;
+  }
+
+  // ─── Interrupts ────────────────────────────────────────────────────────────
+
+  // Edge-triggered: the host calls this on a falling edge of /NMI
+  nmi() {
+    this.nmiPending = true;
+  }
+
+  // Level-triggered: the host passes the state of the shared /IRQ line as it
+  // was before the last cycle of the current instruction
+  irq(level = true) {
+    this.irqLevel = !!level;
+  }
+
+  // Push PC and status and jump through the vector; 7 cycles
+  interrupt(vector) {
     this.pushWord(this.PC);
-    this.push(this.status);
+    this.push((this.status & ~CPU.FLAGS.B) | CPU.FLAGS.U);
     this.setFlag(CPU.FLAGS.I, true);
-    this.PC = this.readWord(0xFFFE);
+    this.irqMask = true;
+    this.PC = this.readWord(vector);
+    return 7;
   }
 }
+
+export default CPU;
@@ -11,8 +11,8 @@
 // CPU:
 //   .reset()
 //   .step() -> cycles:int (1 or 2; returns CPU cycles just executed)
-//   .nmi()                 (edge-trigger NMI)
-//   .irq(level:boolean)    (level-trigger IRQ)
+//   .nmi()                 (edge-trigger NMI; taken at the next instruction boundary)
+//   .irq(level:boolean)    (level-trigger IRQ; the line as sampled before an instruction's last cycle)
 //   .connectBus(bus)
 //   .getState() / .setState(state)
 //
@@ -20,6 +20,7 @@
 //   .reset()
 //   .step() -> { newFrame:boolean }  (run 1 PPU cycle; tells when a frame has just finished)
 //   .connectBus(bus)
+//   .setRegion(name)                 (optional; 'NTSC'|'PAL'|'DENDY' line count and VBlank timing)
 //   .getFramebuffer() -> Uint32Array (RGBA8888, 256*240 length)  OR provide .onFrame(cb)
 //   .nmiLine    (boolean getter)     (PPU asserts NMI via /NMI line)
 //   .getState() / .setState(state)
@@ -29,7 +30,10 @@
 //   .step(cpuCycles:int)             (advance APU by given CPU cycles)
 //   .sample() -> number              (pulls the next audio sample in [-1,1])
 //   .needSample() -> boolean         (true when DAC wants a new sample)
-//   .irqLine (boolean getter)        (APU frame IRQ level)
+//   .irqLine (boolean getter)        (APU frame counter + DMC IRQ level)
+//   .setRegion(name)                 (optional; CPU clock for resampling, noise/DMC/frame counter tables)
+//   .startRecording(rate) / .stopRecording() -> { samples, sampleRate }
+//                                    (optional; capture the mix at its own rate)
 //   .getState() / .setState(state)
 //
 // Bus (Memory + Mappers + OAM DMA, etc.):
@@ -37,7 +41,11 @@
 //   .connectCPU(cpu)
 //   .connectPPU(ppu)
 //   .connectAPU(apu)
-//   .loadCartridge(romBytes:Uint8Array)
+//   .connectInput(input)             (optional; routes $4016/$4017)
+//   .loadCartridge(romBytes:Uint8Array)  (also registers the mapper's expansion audio with the APU)
+//   .mapper                          (optional; polled for .irqLine, .cpuClock() every CPU cycle)
+//   .peek(addr) -> byte              (optional; side-effect-free read for tracing)
+//   .dmcRead(addr) -> byte           (optional; DMC sample fetch, stalls the CPU)
 //   .getState() / .setState(state)
 //
 // Input (Controllers + Settings):
@@ -50,28 +58,61 @@
 // Notes:
 //  • If your PPU provides an .onFrame(cb) callback, Emulator will use it automatically.
 //  • If not, Emulator polls PPU.getFramebuffer() at end of frame.
+//  • Tracing: attach a TraceLogger (./trace.js) with setTracer() to log every
+//    instruction in nestest.log format. Bus.peek(addr) is used for operand values.
+//  • Headless: nothing here touches the DOM. ./headless.js wires the src/ components
+//    under plain Node and writes PNG/WAV output for regression runs.
 //  • Audio: This hub supports a push-pull hybrid. If your APU buffers internally, expose
 //    .readBufferedSamples(N) instead; you can adapt in the 'Audio plumbing' section.
+//  • Recording: startAudioRecording()/stopAudioRecording() capture the mixed output to a
+//    16-bit WAV file (./wav.js).
 //
 // ────────────────────────────────────────────────────────────────────────────────
 
+import { encodeWAV } from './wav.js';
+
 export class Emulator {
-  // Timing constants (NTSC by default)
+  // Timing constants (NTSC by default). CPU and PPU clocks divide one master
+  // clock; the PPU and APU get the region too, for their line counts and tables.
   static NTSC = {
+    name: 'NTSC',
     CPU_HZ: 1789773,     // Ricoh 2A03 clock
+    CPU_DIVIDER: 12,     // master clocks per CPU cycle
+    PPU_DIVIDER: 4,      // master clocks per PPU dot
     PPU_PER_CPU: 3,      // PPU runs 3x CPU frequency
     FPS: 60.0,
   };
 
   static PAL = {
-    CPU_HZ: 1662607,     // PAL CPU clock
-    PPU_PER_CPU: 3,      // same 3x relation
+    name: 'PAL',
+    CPU_HZ: 1662607,     // 2A07 clock
+    CPU_DIVIDER: 16,
+    PPU_DIVIDER: 5,
+    PPU_PER_CPU: 3.2,    // 16 dots every 5 CPU cycles
+    FPS: 50.0,
+  };
+
+  static DENDY = {
+    name: 'DENDY',
+    CPU_HZ: 1773448,     // Dendy clone: PAL master clock, 3 dots per CPU cycle, 50Hz frames
+    CPU_DIVIDER: 15,
+    PPU_DIVIDER: 5,
+    PPU_PER_CPU: 3,
     FPS: 50.0,
   };
 
+  /** Timing for a region name; anything unknown (incl. multi-region) is NTSC. */
+  static regionTiming(region) {
+    switch (String(region).toUpperCase()) {
+      case 'PAL': return Emulator.PAL;
+      case 'DENDY': return Emulator.DENDY;
+      default: return Emulator.NTSC;
+    }
+  }
+
   /**
    * @param {Object} opts
-   * @param {'NTSC'|'PAL'} [opts.region='NTSC']
+   * @param {'NTSC'|'PAL'|'DENDY'|'AUTO'} [opts.region='NTSC'] - AUTO follows the ROM header's timing mode
    * @param {Object} opts.cpu  - CPU instance
    * @param {Object} opts.ppu  - PPU instance
    * @param {Object} opts.apu  - APU instance
@@ -96,7 +137,7 @@ export class Emulator {
       throw new Error('Emulator missing required components: cpu, ppu, apu, bus, input');
     }
 
-    this.region = region.toUpperCase() === 'PAL' ? Emulator.PAL : Emulator.NTSC;
+    this.autoRegion = region.toUpperCase() === 'AUTO';
     this.cpu = cpu;
     this.ppu = ppu;
     this.apu = apu;
@@ -109,7 +150,8 @@ export class Emulator {
     this.audioBatch = Math.max(64, audioBatch | 0);
 
     // Derived timing
-    this.cpuCyclesPerFrame = this.region.CPU_HZ / this.region.FPS; // ~29829.5 (NTSC)
+    this._applyRegion(region);
+    this._masterClock = 0; // master clocks the PPU is behind the CPU
     this._audioAccumulator = new Float32Array(this.audioBatch);
     this._audioWriteIdx = 0;
 
@@ -117,17 +159,25 @@ export class Emulator {
     this.cpu.connectBus(this.bus);
     this.ppu.connectBus(this.bus);
     this.apu && this.bus.connectAPU && this.bus.connectAPU(this.apu);
+    this.bus.connectInput && this.bus.connectInput(this.input);
     this.bus.connectCPU(this.cpu);
     this.bus.connectPPU(this.ppu);
 
     // Interrupt lines
     this._nmiPrev = false;
+    this._nmiDelayed = false;
 
     // Video callback path: subscribe if provided
     if (this.ppu.onFrame && typeof this.ppu.onFrame === 'function' && this.onVideoFrame) {
       this.ppu.onFrame((fb) => this.onVideoFrame(fb));
     }
 
+    // Optional CPU trace (see setTracer)
+    this.tracer = null;
+
+    // Fallback audio capture for APUs without startRecording()
+    this._recordTap = null;
+
     // Runtime control
     this._running = false;
     this._frameCounter = 0;
@@ -143,14 +193,20 @@ export class Emulator {
     }
     this.stop();
     this.bus.loadCartridge(romBytes);
+    if (this.autoRegion) {
+      const header = this.bus.cartridge && this.bus.cartridge.header;
+      this._applyRegion(header ? header.timing : 'NTSC');
+    }
     this.reset(); // cold boot after cart insertion
   }
 
   /** Cold reset (like power cycle). */
   reset() {
     this._frameCounter = 0;
+    this._masterClock = 0;
     this._audioWriteIdx = 0;
     this._nmiPrev = false;
+    this._nmiDelayed = false;
 
     this.bus.reset();
     // Region-dependent init
@@ -164,6 +220,7 @@ export class Emulator {
   softReset() {
     this._audioWriteIdx = 0;
     this._nmiPrev = false;
+    this._nmiDelayed = false;
     this.apu.reset(this.sampleRate);
     this.ppu.reset();
     this.cpu.reset();
@@ -179,10 +236,26 @@ export class Emulator {
     this.onAudioSamples = typeof fn === 'function' ? fn : null;
   }
 
+  /**
+   * Attach a TraceLogger (or any object with .log(cpu, ppu, bus)); pass null
+   * to stop tracing.
+   */
+  setTracer(tracer) {
+    this.tracer = tracer && typeof tracer.log === 'function' ? tracer : null;
+  }
+
   /** Change region timing (applies on next reset). */
-  setRegion(region /* 'NTSC'|'PAL' */) {
-    this.region = region.toUpperCase() === 'PAL' ? Emulator.PAL : Emulator.NTSC;
-    this.cpuCyclesPerFrame = this.region.CPU_HZ / this.region.FPS;
+  setRegion(region /* 'NTSC'|'PAL'|'DENDY'|'AUTO' */) {
+    this.autoRegion = String(region).toUpperCase() === 'AUTO';
+    const header = this.autoRegion && this.bus.cartridge && this.bus.cartridge.header;
+    this._applyRegion(header ? header.timing : region);
+  }
+
+  _applyRegion(region) {
+    this.region = Emulator.regionTiming(region);
+    this.cpuCyclesPerFrame = this.region.CPU_HZ / this.region.FPS; // ~29829.5 (NTSC)
+    if (this.ppu.setRegion) this.ppu.setRegion(this.region.name);
+    if (this.apu.setRegion) this.apu.setRegion(this.region.name);
   }
 
   /** Update input settings (button bindings, turbo, etc.). */
@@ -209,35 +282,27 @@ export class Emulator {
     let ppuCyclesRun = 0;
     let framesCompleted = 0;
 
-    // We iterate CPU as the master, driving PPU/APU (PPU runs 3x per CPU tick).
+    // We iterate CPU as the master, driving PPU/APU (3 PPU dots per CPU cycle, 3.2 on PAL).
     // We stop as soon as the PPU reports a new frame OR we reach the target CPU cycles.
     while (framesCompleted === 0 && cpuCyclesRun < cpuCyclesTarget) {
       // 1) CPU step → returns cycles consumed (1 or 2 for some ops)
+      this._trace();
       const c = this.cpu.step();
       cpuCyclesRun += c;
 
-      // 2) PPU runs 3 * c cycles
-      for (let i = 0; i < c * this.region.PPU_PER_CPU; i++) {
-        const { newFrame } = this.ppu.step();
-        ppuCyclesRun++;
-        // Edge-trigger NMI from PPU (VBlank)
-        this._serviceNMI();
-        if (newFrame) {
-          framesCompleted++;
-          // If PPU didn't push the frame (no onFrame), pull and present
-          if (this.onVideoFrame && !this.ppu.onFrame) {
-            const fb = this.ppu.getFramebuffer();
-            if (fb) this.onVideoFrame(fb);
-          }
+      // 2) PPU and APU catch up; interrupt lines are sampled on the way
+      if (this._clock(c)) {
+        framesCompleted++;
+        // If PPU didn't push the frame (no onFrame), pull and present
+        if (this.onVideoFrame && !this.ppu.onFrame) {
+          const fb = this.ppu.getFramebuffer();
+          if (fb) this.onVideoFrame(fb);
         }
       }
+      ppuCyclesRun += c * this.region.PPU_PER_CPU;
 
-      // 3) APU advances by CPU cycles (APU internal timer uses CPU dividers)
-      this.apu.step(c);
+      // 3) Audio out
       this._pumpAudio();
-
-      // 4) IRQ handling (APU frame IRQ and mapper IRQ may both assert)
-      this._serviceIRQ();
     }
 
     this._frameCounter += framesCompleted;
@@ -252,38 +317,68 @@ export class Emulator {
 
   /** Execute a single CPU instruction worth of time (plus synced PPU/APU). */
   stepInstruction() {
+    this._trace();
     const c = this.cpu.step();
-
-    // PPU x3 per CPU cycle
-    for (let i = 0; i < c * this.region.PPU_PER_CPU; i++) {
-      this.ppu.step();
-      this._serviceNMI();
-    }
-
-    // APU and audio
-    this.apu.step(c);
+    this._clock(c);
     this._pumpAudio();
+    return c;
+  }
 
-    // IRQs
-    this._serviceIRQ();
+  // Trace the instruction about to run. Steps that only burn a DMA stall cycle
+  // or idle a halted CPU execute nothing, so they get no line of their own.
+  _trace() {
+    if (this.tracer && this.cpu.stall === 0 && !this.cpu.halted) this.tracer.log(this.cpu, this.ppu, this.bus);
+  }
 
-    return c;
+  /**
+   * Run the PPU and APU for the `c` CPU cycles the last step took.
+   * The 6502 polls its interrupt inputs before an instruction's final cycle,
+   * so the IRQ line is sampled there and an NMI edge during the final cycle
+   * waits one more instruction; the CPU acts on both at its next step().
+   * Returns true if the PPU finished a frame.
+   */
+  _clock(c) {
+    if (this._nmiDelayed) {
+      this._nmiDelayed = false;
+      this.cpu.nmi();
+    }
+    const mapper = this.bus.mapper;
+    let newFrame = false;
+    for (let cycle = 0; cycle < c; cycle++) {
+      const last = cycle === c - 1;
+      if (last) this._serviceIRQ();
+      this._masterClock += this.region.CPU_DIVIDER;
+      while (this._masterClock >= this.region.PPU_DIVIDER) {
+        this._masterClock -= this.region.PPU_DIVIDER;
+        if (this.ppu.step().newFrame) newFrame = true;
+        // Edge-trigger NMI from PPU (VBlank)
+        this._serviceNMI(last);
+      }
+      // APU advances by CPU cycles (APU internal timer uses CPU dividers)
+      this.apu.step(1);
+      if (mapper) mapper.cpuClock();
+    }
+    return newFrame;
   }
 
   // ────────────────────────────────────────────────────────────────────────────
   // Interrupts
   // ────────────────────────────────────────────────────────────────────────────
 
-  _serviceNMI() {
+  _serviceNMI(late = false) {
     const nmiLevel = !!this.ppu.nmiLine;
     if (nmiLevel && !this._nmiPrev) {
-      this.cpu.nmi(); // rising edge
+      // rising edge
+      if (late) this._nmiDelayed = true;
+      else this.cpu.nmi();
     }
     this._nmiPrev = nmiLevel;
   }
 
+  // The shared /IRQ line is a wired-OR: the APU frame counter and DMC, the
+  // mapper and any bus-level source can all hold it low.
   _serviceIRQ() {
-    // APU IRQ (frame sequencer) – level triggered
+    // APU IRQ (frame counter, DMC) – level triggered
     const apuIRQ = !!this.apu.irqLine;
 
     // Mapper IRQ: allow bus to expose a line (optional)
@@ -301,7 +396,7 @@ export class Emulator {
   // ────────────────────────────────────────────────────────────────────────────
 
   _pumpAudio() {
-    if (!this.onAudioSamples) return;
+    if (!this.onAudioSamples && !this._recordTap) return;
 
     // Strategy A: pull samples whenever the APU says it's time
     while (this.apu.needSample && this.apu.needSample()) {
@@ -322,12 +417,52 @@ export class Emulator {
   _enqueueSample(s) {
     // Clip to [-1, 1] just in case
     const clipped = s < -1 ? -1 : s > 1 ? 1 : s;
+    if (this._recordTap) this._recordTap.push(clipped);
     this._audioAccumulator[this._audioWriteIdx++] = clipped;
     if (this._audioWriteIdx >= this.audioBatch) {
       this._flushAudio();
     }
   }
 
+  /**
+   * Start capturing the mixed APU output. An APU with startRecording()
+   * resamples the mix straight from the CPU clock to `sampleRate`, ahead of
+   * any output-device resampling; otherwise the samples passing through
+   * _enqueueSample are captured at the output rate.
+   * @param {Object} [opts]
+   * @param {number} [opts.sampleRate] - defaults to the output sample rate
+   */
+  startAudioRecording({ sampleRate = this.sampleRate } = {}) {
+    if (this.apu.startRecording) {
+      this.apu.startRecording(sampleRate | 0);
+    } else {
+      this._recordTap = [];
+    }
+  }
+
+  /**
+   * Stop capturing and return the recording as a .wav file.
+   * @returns {Uint8Array|null} null when no recording was running
+   */
+  stopAudioRecording() {
+    if (this._recordTap) {
+      const samples = Float32Array.from(this._recordTap);
+      this._recordTap = null;
+      return encodeWAV(samples, this.sampleRate);
+    }
+    const recording = this.apu.stopRecording ? this.apu.stopRecording() : null;
+    return recording ? encodeWAV(recording.samples, recording.sampleRate) : null;
+  }
+
+  get recordingAudio() {
+    return !!this._recordTap || !!this.apu.isRecording;
+  }
+
+  /** Push any partially filled audio batch to the sink (e.g. before exit). */
+  flushAudio() {
+    this._flushAudio();
+  }
+
   _flushAudio() {
     if (!this.onAudioSamples || this._audioWriteIdx === 0) {
       this._audioWriteIdx = 0;
@@ -365,7 +500,7 @@ export class Emulator {
   saveState() {
     return {
       v: 1,                        // version
-      region: this.region === Emulator.PAL ? 'PAL' : 'NTSC',
+      region: this.region.name,
       frame: this._frameCounter,
       cpu: this.cpu.getState ? this.cpu.getState() : null,
       ppu: this.ppu.getState ? this.ppu.getState() : null,
@@ -396,6 +531,29 @@ export class Emulator {
     this._frameCounter = state.frame | 0;
     this._audioWriteIdx = 0;
     this._nmiPrev = !!(this.ppu && this.ppu.nmiLine);
+    this._nmiDelayed = false;
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // Battery saves
+  // ────────────────────────────────────────────────────────────────────────────
+
+  /** Key for per-game saves: the cartridge's PRG+CHR CRC32, or null. */
+  get romHash() {
+    const cart = this.bus.cartridge;
+    return cart ? cart.crc32 : null;
+  }
+
+  /** Copy of the battery-backed PRG-RAM (the contents of a .sav file), or null. */
+  exportBatteryRAM() {
+    const ram = this.bus.cartridge && this.bus.cartridge.batteryRAM;
+    return ram ? ram.slice() : null;
+  }
+
+  /** Load a .sav file. Games read their saves at boot, so reset() afterwards. */
+  importBatteryRAM(bytes) {
+    if (!this.bus.cartridge) throw new Error('No cartridge loaded');
+    this.bus.cartridge.loadBatteryRAM(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -441,19 +599,19 @@ function nowMs() {
 /* ─────────────────────────────────────────────────────────────────────────────
    Example wiring (pseudo, not executed here):
 
-   import { Emulator } from './emulator.js';
-   import { CPU } from './cpu.js';
-   import { PPU } from './ppu.js';
-   import { APU } from './apu.js';
-   import { Bus } from './bus.js';
-   import { Input } from './input.js';
+   import { Emulator } from './emulator-.js';
+   import CPU from './cpu.js';
+   import PPU from './ppu.js';
+   import APU from './apu.js';
+   import Memory from './memory.js';
+   import Input from './input.js';
 
    const emu = new Emulator({
      region: 'NTSC',
      cpu: new CPU(),
      ppu: new PPU(),
      apu: new APU(),
-     bus: new Bus(),
+     bus: new Memory(),
      input: new Input(),
      sampleRate: 48000,
      onVideoFrame: (framebufferRGBA) => {
@@ -1,41 +1,62 @@
 // emulator.js
+// Browser entry point: builds the CPU/PPU/APU/Bus/Input set and drives it
+// from requestAnimationFrame. Stepping, interrupt lines and audio plumbing
+// live in the hub in emulator-.js. Battery RAM is kept in IndexedDB by a
+// BatterySaver.
 
 import CPU from './cpu.js';
 import PPU from './ppu.js';
+import APU from './apu.js';
 import Memory from './memory.js';
 import Input from './input.js';
+import { Emulator as Hub } from './emulator-.js';
+import { BatterySaver } from './batterystore.js';
 
 class Emulator {
-  constructor(romData) {
-    this.memory = new Memory(romData);
+  constructor(romData, { canvasContext = null, sampleRate = 48000, onAudioSamples = null } = {}) {
+    this.memory = new Memory();
     this.cpu = new CPU(this.memory);
-    this.ppu = new PPU(this.memory);
+    this.ppu = new PPU();
+    this.apu = new APU(this.memory);
     this.input = new Input();
+    if (canvasContext) this.ppu.attachCanvas(canvasContext);
+
+    this.hub = new Hub({
+      cpu: this.cpu,
+      ppu: this.ppu,
+      apu: this.apu,
+      bus: this.memory,
+      input: this.input,
+      sampleRate,
+      onAudioSamples,
+    });
+    if (romData) this.hub.loadROM(romData instanceof Uint8Array ? romData : new Uint8Array(romData));
+    this.battery = new BatterySaver(this.hub);
+    // start() waits for this so the game boots with its save in place
+    this.batteryRestored = this.battery.restore().catch((err) => {
+      console.warn('Could not restore battery save:', err);
+      return false;
+    });
 
     this.running = false;
     this.frameInterval = 1000 / 60; // 60 FPS
   }
 
   reset() {
-    this.cpu.reset();
-    this.ppu.reset();
-    this.memory.reset();
+    this.hub.reset();
     this.running = true;
   }
 
+  // One frame of CPU, PPU and APU time; the APU frame counter, DMC and
+  // mapper share the IRQ line the hub feeds to the CPU
   stepFrame() {
-    let cycles = 0;
-    while (cycles < 29780) { // Approximate cycles per frame
-      const cpuCycles = this.cpu.step();
-      cycles += cpuCycles;
-      this.ppu.step(cpuCycles * 3); // PPU runs 3x faster
-    }
-
-    this.ppu.renderFrame();
+    this.hub.runFrame();
   }
 
-  start() {
+  async start() {
+    await this.batteryRestored;
     this.reset();
+    this.battery.start();
     const loop = () => {
       if (!this.running) return;
       this.stepFrame();
@@ -46,6 +67,21 @@ class Emulator {
 
   stop() {
     this.running = false;
+    this.battery.stop();
+    this.battery.flush();
+  }
+
+  /** The battery RAM as a .sav file, or null if the cartridge has none. */
+  exportSave() {
+    return this.hub.exportBatteryRAM();
+  }
+
+  /** Replace the battery RAM with a .sav file, store it and reboot the game. */
+  async importSave(bytes) {
+    this.hub.importBatteryRAM(bytes);
+    this.hub.bus.cartridge.sramDirty = true;
+    await this.battery.flush();
+    this.reset();
   }
 }
 
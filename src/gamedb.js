@@ -0,0 +1,192 @@
+// gamedb.js
+// Game database: known dumps keyed by the CRC32 of their PRG+CHR data (the
+// file minus header and trainer, as in No-Intro and nes20db). Entries that
+// carry a SHA-1 must match it as well, so a CRC collision or a patched dump
+// is not mistaken for the original. A match names the game and overrides
+// whatever the header claims about the board, so dumps with a wrong mapper,
+// mirroring or battery bit, or junk in bytes 7-15, still load correctly.
+//
+// Only Super Mario Bros. is bundled, as a reference entry. Hosts can add the
+// full NES 2.0 database (nes20db.xml) with addGames(parseNes20db(xmlText)).
+
+/**
+ * @typedef {Object} GameEntry
+ * @property {string} crc32 - PRG+CHR CRC32, 8 upper-case hex digits
+ * @property {string} [sha1] - PRG+CHR SHA-1, upper-case hex
+ * @property {string} title
+ * @property {string} [region] - 'NTSC'|'PAL'|'Multi-region'|'Dendy'
+ * @property {string} [revision] - dump/release name, e.g. 'World', 'USA (Rev 1)'
+ * @property {number} [mapper]
+ * @property {number} [submapper]
+ * @property {'horizontal'|'vertical'|'four'} [mirroring] - omitted when the mapper controls it
+ * @property {boolean} [battery]
+ * @property {number} [prgRamSize]
+ * @property {number} [prgNvramSize]
+ * @property {number} [chrRamSize]
+ */
+
+/** @type {GameEntry[]} */
+export const BUNDLED_GAMES = [
+    {
+        crc32: '3337EC46',
+        sha1: 'EA343F4E445A9050D4B4FBAC2C77D0693B1D0922',
+        title: 'Super Mario Bros.',
+        region: 'NTSC',
+        revision: 'World',
+        mapper: 0,
+        submapper: 0,
+        mirroring: 'vertical',
+        battery: false,
+        prgRamSize: 0,
+        prgNvramSize: 0,
+        chrRamSize: 0,
+    },
+];
+
+const games = new Map();
+addGames(BUNDLED_GAMES);
+
+/** Register entries, replacing any with the same CRC32. */
+export function addGames(entries) {
+    for (const entry of entries) games.set(entry.crc32.toUpperCase(), entry);
+}
+
+/**
+ * Find the entry for a dump. When both the entry and the caller have a SHA-1
+ * they must agree; a CRC32 match alone is not enough then.
+ * @param {string} crc - CRC32, 8 upper-case hex digits
+ * @param {string} [sha1] - SHA-1, upper-case hex
+ * @returns {GameEntry|null}
+ */
+export function lookupGame(crc, sha1) {
+    const entry = games.get(crc);
+    if (!entry) return null;
+    if (sha1 && entry.sha1 && entry.sha1 !== sha1) return null;
+    return entry;
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+/** CRC32 (IEEE) as 8 upper-case hex digits. */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/** SHA-1 as 40 upper-case hex digits. Synchronous, so cartridges can be built without awaiting. */
+export function sha1(bytes) {
+    const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+    const w = new Uint32Array(80);
+    // Message plus 0x80, zero padding and the 64-bit bit length, in whole 64-byte blocks
+    const padded = new Uint8Array(((bytes.length + 8) >> 6) + 1 << 6);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, (bytes.length << 3) >>> 0);
+    for (let block = 0; block < padded.length; block += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(block + i * 4);
+        for (let i = 16; i < 80; i++) {
+            const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (x << 1) | (x >>> 31);
+        }
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            if (i < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
+            else if (i < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
+            else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
+            else { f = b ^ c ^ d; k = 0xCA62C1D6; }
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+            e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = t;
+        }
+        h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0; h[4] = (h[4] + e) | 0;
+    }
+    return h.map((v) => (v >>> 0).toString(16).toUpperCase().padStart(8, '0')).join('');
+}
+
+/**
+ * Checksums of a ROM file's PRG+CHR data. Everything after the header and
+ * trainer is hashed, so it does not depend on the size fields being right.
+ * @returns {{ crc32: string, sha1: string }}
+ */
+export function romChecksum(bytes, header) {
+    const data = bytes.subarray(16 + (header.trainer ? 512 : 0));
+    return { crc32: crc32(data), sha1: sha1(data) };
+}
+
+/**
+ * Overlay a database entry on a parsed header (see header.js).
+ * @returns {{ header: Object, corrections: string[] }} a corrected copy and
+ *   the names of the fields that changed
+ */
+export function correctHeader(header, entry) {
+    const fixed = { ...header };
+    const corrections = [];
+    const fields = ['mapper', 'submapper', 'mirroring', 'battery', 'prgRamSize', 'prgNvramSize', 'chrRamSize'];
+    for (const field of fields) {
+        if (entry[field] === undefined || entry[field] === header[field]) continue;
+        fixed[field] = entry[field];
+        corrections.push(field);
+    }
+    if (entry.region && entry.region !== header.timing) {
+        fixed.timing = entry.region;
+        corrections.push('timing');
+    }
+    return { header: fixed, corrections };
+}
+
+const NES20DB_MIRRORING = { H: 'horizontal', V: 'vertical', 4: 'four' };
+const NES20DB_REGIONS = ['NTSC', 'PAL', 'Multi-region', 'Dendy'];
+
+/**
+ * Parse nes20db.xml (the NES 2.0 header database). The title comes from the
+ * comment each <game> starts with, e.g. "<!-- Super Mario Bros. (World).nes -->".
+ * @param {string} xml
+ * @returns {GameEntry[]}
+ */
+export function parseNes20db(xml) {
+    const entries = [];
+    const attrs = (block, tag) => {
+        const m = block.match(new RegExp(`<${tag}\\s([^>]*)/?>`));
+        if (!m) return null;
+        const out = {};
+        for (const [, key, value] of m[1].matchAll(/(\w+)="([^"]*)"/g)) out[key] = value;
+        return out;
+    };
+    for (const [, block] of xml.matchAll(/<game>([\s\S]*?)<\/game>/g)) {
+        const rom = attrs(block, 'rom');
+        const pcb = attrs(block, 'pcb');
+        if (!rom || !rom.crc32 || !pcb) continue;
+        const comment = block.match(/<!--\s*(.*?)\s*-->/);
+        const name = comment ? comment[1].replace(/^.*[\\/]/, '').replace(/\.nes$/i, '') : '';
+        const paren = name.indexOf(' (');
+        const consoleInfo = attrs(block, 'console');
+        const size = (tag) => {
+            const a = attrs(block, tag);
+            return a ? parseInt(a.size, 10) || 0 : 0;
+        };
+        const entry = {
+            crc32: rom.crc32.toUpperCase(),
+            title: paren > 0 ? name.slice(0, paren) : name,
+            revision: paren > 0 ? name.slice(paren + 2).replace(/\)$/, '').replace(/\) \(/g, ', ') : '',
+            mapper: parseInt(pcb.mapper, 10),
+            submapper: parseInt(pcb.submapper || '0', 10),
+            battery: pcb.battery === '1',
+            prgRamSize: size('prgram'),
+            prgNvramSize: size('prgnvram'),
+            chrRamSize: size('chrram'),
+        };
+        if (rom.sha1) entry.sha1 = rom.sha1.toUpperCase();
+        if (NES20DB_MIRRORING[pcb.mirroring]) entry.mirroring = NES20DB_MIRRORING[pcb.mirroring];
+        if (consoleInfo && consoleInfo.region !== undefined) entry.region = NES20DB_REGIONS[parseInt(consoleInfo.region, 10)] || 'NTSC';
+        entries.push(entry);
+    }
+    return entries;
+}
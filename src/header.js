@@ -0,0 +1,113 @@
+// header.js
+// iNES / NES 2.0 header parser.
+//
+// parseHeader() turns the 16-byte header into one metadata object that the
+// cartridge, mappers and hosts use instead of reading header bits directly:
+// ROM and RAM sizes, mapper and submapper, mirroring, timing and console type.
+// Plain iNES files get the usual defaults (8 KiB of PRG-RAM, 8 KiB of CHR-RAM
+// when there is no CHR-ROM).
+
+export const TIMING_MODES = ['NTSC', 'PAL', 'Multi-region', 'Dendy'];
+export const CONSOLE_TYPES = ['NES', 'Vs. System', 'PlayChoice-10', 'Extended'];
+
+/**
+ * @param {Uint8Array} bytes - the ROM file (at least the 16-byte header)
+ * @returns {{
+ *   format: 'iNES'|'NES 2.0'|'archaic iNES',
+ *   mapper: number, submapper: number,
+ *   prgRomSize: number, chrRomSize: number,
+ *   prgRamSize: number, prgNvramSize: number, chrRamSize: number, chrNvramSize: number,
+ *   mirroring: 'horizontal'|'vertical'|'four', battery: boolean, trainer: boolean,
+ *   timing: 'NTSC'|'PAL'|'Multi-region'|'Dendy',
+ *   console: 'NES'|'Vs. System'|'PlayChoice-10'|'Extended',
+ *   vsPpu: number, vsHardware: number, extendedConsole: number,
+ *   miscRoms: number, expansionDevice: number
+ * }} sizes in bytes
+ */
+export function parseHeader(bytes) {
+    if (bytes.length < 16 || bytes[0] !== 0x4E || bytes[1] !== 0x45 || bytes[2] !== 0x53 || bytes[3] !== 0x1A) {
+        throw new Error('Invalid iNES ROM file');
+    }
+
+    const flags6 = bytes[6];
+    const flags7 = bytes[7];
+    const nes2 = (flags7 & 0x0C) === 0x08;
+    // Bytes 12-15 must be zero in iNES; junk there (e.g. "DiskDude!") means
+    // byte 7 is junk too
+    const archaic = !nes2 && (bytes[12] | bytes[13] | bytes[14] | bytes[15]) !== 0;
+
+    const header = {
+        format: nes2 ? 'NES 2.0' : archaic ? 'archaic iNES' : 'iNES',
+        mapper: (flags6 >> 4) | (archaic ? 0 : flags7 & 0xF0),
+        submapper: 0,
+        prgRomSize: bytes[4] * 0x4000,
+        chrRomSize: bytes[5] * 0x2000,
+        prgRamSize: 0x2000,
+        prgNvramSize: 0,
+        chrRamSize: bytes[5] === 0 ? 0x2000 : 0,
+        chrNvramSize: 0,
+        mirroring: (flags6 & 0x08) ? 'four' : (flags6 & 0x01) ? 'vertical' : 'horizontal',
+        battery: (flags6 & 0x02) !== 0,
+        trainer: (flags6 & 0x04) !== 0,
+        timing: 'NTSC',
+        console: archaic ? 'NES' : CONSOLE_TYPES[flags7 & 0x03],
+        vsPpu: 0,
+        vsHardware: 0,
+        extendedConsole: 0,
+        miscRoms: 0,
+        expansionDevice: 0,
+    };
+
+    if (!nes2) {
+        // iNES battery RAM is the whole 8 KiB window
+        if (header.battery) {
+            header.prgNvramSize = header.prgRamSize;
+            header.prgRamSize = 0;
+        }
+        return header;
+    }
+
+    header.mapper |= (bytes[8] & 0x0F) << 8;
+    header.submapper = bytes[8] >> 4;
+    header.prgRomSize = romSize(bytes[4], bytes[9] & 0x0F, 0x4000);
+    header.chrRomSize = romSize(bytes[5], bytes[9] >> 4, 0x2000);
+    header.prgRamSize = shiftSize(bytes[10] & 0x0F);
+    header.prgNvramSize = shiftSize(bytes[10] >> 4);
+    header.chrRamSize = shiftSize(bytes[11] & 0x0F);
+    header.chrNvramSize = shiftSize(bytes[11] >> 4);
+    header.timing = TIMING_MODES[bytes[12] & 0x03];
+    if (header.console === 'Vs. System') {
+        header.vsPpu = bytes[13] & 0x0F;
+        header.vsHardware = bytes[13] >> 4;
+    } else if (header.console === 'Extended') {
+        header.extendedConsole = bytes[13] & 0x0F;
+    }
+    header.miscRoms = bytes[14] & 0x03;
+    header.expansionDevice = bytes[15] & 0x3F;
+    return header;
+}
+
+// NES 2.0 ROM size: an MSB nibble of $F switches the LSB byte to exponent-multiplier form
+function romSize(lsb, msb, unit) {
+    if (msb === 0x0F) return 2 ** (lsb >> 2) * ((lsb & 0x03) * 2 + 1);
+    return ((msb << 8) | lsb) * unit;
+}
+
+// NES 2.0 RAM size: 64 << shift bytes, 0 meaning none
+function shiftSize(shift) {
+    return shift ? 64 << shift : 0;
+}
+
+/** One-line summary for logs and UI, e.g. "NES 2.0 · mapper 4.1 · 256K PRG · 8K PRG-NVRAM · NTSC". */
+export function describeHeader(header) {
+    const kb = (n) => `${n >= 1024 ? n / 1024 + 'K' : n + 'B'}`;
+    const parts = [header.format, `mapper ${header.mapper}${header.submapper ? '.' + header.submapper : ''}`, `${kb(header.prgRomSize)} PRG`];
+    if (header.chrRomSize) parts.push(`${kb(header.chrRomSize)} CHR`);
+    if (header.chrRamSize) parts.push(`${kb(header.chrRamSize)} CHR-RAM`);
+    if (header.chrNvramSize) parts.push(`${kb(header.chrNvramSize)} CHR-NVRAM`);
+    if (header.prgRamSize) parts.push(`${kb(header.prgRamSize)} PRG-RAM`);
+    if (header.prgNvramSize) parts.push(`${kb(header.prgNvramSize)} PRG-NVRAM`);
+    parts.push(header.timing);
+    if (header.console !== 'NES') parts.push(header.console);
+    return parts.join(' · ');
+}
@@ -0,0 +1,227 @@
+// headless.js
+// Runs the emulator core under plain Node: no DOM, canvas or WebAudio.
+// Loads a ROM, runs N frames and writes the last frame as PNG and the audio
+// as WAV, for CI-style regression runs on machines without a GPU.
+//
+//   node src/headless.js game.nes --frames 600 --png out.png --wav out.wav
+//
+// The SHA-1 of the final framebuffer is printed so runs can be compared
+// without storing images.
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { deflateSync } from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+
+import { Emulator } from './emulator-.js';
+import CPU from './cpu.js';
+import PPU from './ppu.js';
+import APU from './apu.js';
+import Memory from './memory.js';
+import Input from './input.js';
+import { encodeWAV } from './wav.js';
+import { describeHeader } from './header.js';
+import { addGames, parseNes20db } from './gamedb.js';
+
+/**
+ * Build an Emulator from the src/ components.
+ * @param {Object} [opts] - passed through to Emulator (region, sampleRate, sinks)
+ */
+export function createEmulator(opts = {}) {
+  return new Emulator({
+    cpu: new CPU(),
+    ppu: new PPU(),
+    apu: new APU(),
+    bus: new Memory(),
+    input: new Input(),
+    ...opts,
+  });
+}
+
+/**
+ * Load a ROM, run `frames` frames and collect the output.
+ * @param {Uint8Array} romBytes
+ * @param {Object} [opts]
+ * @param {number} [opts.frames=60]
+ * @param {number} [opts.sampleRate=44100]
+ * @param {'NTSC'|'PAL'|'DENDY'|'AUTO'} [opts.region='AUTO'] - AUTO follows the ROM header
+ * @param {boolean} [opts.noSpriteLimit=false] - draw more than 8 sprites per line
+ * @param {Uint8Array} [opts.sav] - battery RAM to boot with (a .sav file)
+ * @returns {{ emulator: Emulator, framebuffer: Uint32Array, audio: Float32Array, frameHash: string }}
+ */
+export function runHeadless(romBytes, { frames = 60, sampleRate = 44100, region = 'AUTO', noSpriteLimit = false, sav = null } = {}) {
+  const chunks = [];
+  let sampleCount = 0;
+  const emulator = createEmulator({
+    region,
+    sampleRate,
+    onAudioSamples: (samples) => {
+      chunks.push(samples);
+      sampleCount += samples.length;
+    },
+  });
+
+  emulator.ppu.noSpriteLimit = noSpriteLimit;
+  emulator.loadROM(romBytes);
+  if (sav) {
+    emulator.importBatteryRAM(sav);
+    emulator.reset();
+  }
+  emulator.runFrames(frames);
+  emulator.flushAudio();
+
+  const audio = new Float32Array(sampleCount);
+  let offset = 0;
+  for (const chunk of chunks) {
+    audio.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  const framebuffer = emulator.ppu.getFramebuffer();
+  return { emulator, framebuffer, audio, frameHash: hashFramebuffer(framebuffer) };
+}
+
+/** SHA-1 (hex) of a framebuffer's RGBA bytes. */
+export function hashFramebuffer(framebuffer) {
+  return createHash('sha1')
+    .update(new Uint8Array(framebuffer.buffer, framebuffer.byteOffset, framebuffer.byteLength))
+    .digest('hex');
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// PNG encoding (truecolor + alpha, no filtering)
+// ──────────────────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * @param {Uint32Array} framebuffer - RGBA8888 pixels (as produced by the PPU)
+ * @param {number} [width=256]
+ * @param {number} [height=240]
+ * @returns {Buffer} complete .png file
+ */
+export function encodePNG(framebuffer, width = 256, height = 240) {
+  const rgba = new Uint8Array(framebuffer.buffer, framebuffer.byteOffset, width * height * 4);
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // color type: RGBA
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Command line
+// ──────────────────────────────────────────────────────────────────────────────
+
+const USAGE = `usage: node src/headless.js <rom.nes> [--frames N] [--png out.png] [--wav out.wav]
+                                 [--rate 44100] [--region AUTO|NTSC|PAL|DENDY] [--no-sprite-limit]
+                                 [--gamedb nes20db.xml] [--sav game.sav]`;
+
+function parseArgs(argv) {
+  const args = { rom: null, frames: 60, png: null, wav: null, sampleRate: 44100, region: 'AUTO', noSpriteLimit: false, gamedb: null, sav: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--frames': args.frames = parseInt(value(), 10); break;
+      case '--png': args.png = value(); break;
+      case '--wav': args.wav = value(); break;
+      case '--rate': args.sampleRate = parseInt(value(), 10); break;
+      case '--region': args.region = value(); break;
+      case '--no-sprite-limit': args.noSpriteLimit = true; break;
+      case '--gamedb': args.gamedb = value(); break;
+      case '--sav': args.sav = value(); break;
+      case '-h':
+      case '--help': return null;
+      default:
+        if (arg.startsWith('-') || args.rom) throw new Error(`unexpected argument ${arg}`);
+        args.rom = arg;
+    }
+  }
+  if (!args.rom) return null;
+  if (!(args.frames >= 0)) throw new Error('--frames must be a non-negative number');
+  if (!(args.sampleRate > 0)) throw new Error('--rate must be a positive number');
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (!args) {
+    console.log(USAGE);
+    return 2;
+  }
+
+  if (args.gamedb) addGames(parseNes20db(readFileSync(args.gamedb, 'utf8')));
+  const rom = new Uint8Array(readFileSync(args.rom));
+  const sav = args.sav && existsSync(args.sav) ? new Uint8Array(readFileSync(args.sav)) : null;
+  const { emulator, framebuffer, audio, frameHash } = runHeadless(rom, { ...args, sav });
+
+  if (args.png) writeFileSync(args.png, encodePNG(framebuffer));
+  if (args.wav) writeFileSync(args.wav, encodeWAV(audio, args.sampleRate));
+  const battery = emulator.exportBatteryRAM();
+  if (args.sav && battery) writeFileSync(args.sav, battery);
+
+  const cart = emulator.bus.cartridge;
+  if (cart && cart.header) console.log(`rom: ${describeHeader(cart.header)}`);
+  if (cart && cart.crc32) {
+    const { game, corrections } = cart;
+    const name = game ? `${game.title}${game.revision ? ` (${game.revision})` : ''}` : 'not in database';
+    console.log(`crc32: ${cart.crc32} · ${name}${corrections.length ? ` · corrected ${corrections.join(', ')}` : ''}`);
+  }
+  console.log(`frames: ${args.frames}`);
+  console.log(`frame sha1: ${frameHash}`);
+  console.log(`audio samples: ${audio.length}`);
+  if (emulator.cpu.halted) {
+    const { pc, opcode, reason } = emulator.cpu.halted;
+    console.log(`cpu halted: ${reason} $${opcode.toString(16).padStart(2, '0')} at $${pc.toString(16).padStart(4, '0')}`);
+    return 1;
+  }
+  return 0;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`headless: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -63,7 +63,7 @@ class Controller {
 
     // Poll gamepad state
     updateFromGamepad() {
-        if (this.gamepadIndex === null) return;
+        if (this.gamepadIndex === null || typeof navigator === "undefined" || !navigator.getGamepads) return;
         const gp = navigator.getGamepads()[this.gamepadIndex];
         if (!gp) return;
 
@@ -136,32 +136,71 @@ export default class Input {
             1
         );
 
-        this.setupKeyboard();
+        // Headless hosts (Node) have no window; buttons are then driven with setButton()
+        if (typeof window !== "undefined") {
+            this.setupKeyboard();
 
-        window.addEventListener("gamepadconnected", (e) => {
-            console.log(`Gamepad ${e.gamepad.index} connected: ${e.gamepad.id}`);
-        });
-        window.addEventListener("gamepaddisconnected", (e) => {
-            console.log(`Gamepad ${e.gamepad.index} disconnected`);
-        });
+            window.addEventListener("gamepadconnected", (e) => {
+                console.log(`Gamepad ${e.gamepad.index} connected: ${e.gamepad.id}`);
+            });
+            window.addEventListener("gamepaddisconnected", (e) => {
+                console.log(`Gamepad ${e.gamepad.index} disconnected`);
+            });
+        }
     }
 
-    write(addr, value) {
-        if (addr === 0x4016) {
+    reset() {
+        for (const pad of [this.player1, this.player2]) {
+            pad.strobe = 0;
+            pad.shiftRegister = 0;
+        }
+    }
+
+    // Port 0 = $4016, port 1 = $4017. The strobe bit reaches both controllers.
+    write(port, value) {
+        if (port === 0) {
             this.player1.write(value);
             this.player2.write(value);
         }
     }
 
-    read(addr) {
-        if (addr === 0x4016) {
+    read(port) {
+        if (port === 0) {
             return this.player1.read();
-        } else if (addr === 0x4017) {
+        } else if (port === 1) {
             return this.player2.read();
         }
         return 0;
     }
 
+    setButton(port, name, pressed) {
+        const pad = port === 0 ? this.player1 : port === 1 ? this.player2 : null;
+        if (pad) pad.setButton(name, pressed);
+    }
+
+    getControllerState(port) {
+        const pad = port === 0 ? this.player1 : port === 1 ? this.player2 : null;
+        return pad ? { ...pad.buttons } : {};
+    }
+
+    getSettings() {
+        return {
+            player1: { keyMap: { ...this.player1.keyMap }, gamepadMap: { ...this.player1.gamepadMap } },
+            player2: { keyMap: { ...this.player2.keyMap }, gamepadMap: { ...this.player2.gamepadMap } },
+        };
+    }
+
+    setSettings(settings) {
+        if (settings.player1) {
+            if (settings.player1.keyMap) this.remapPlayerKey(1, settings.player1.keyMap);
+            if (settings.player1.gamepadMap) this.remapPlayerGamepad(1, settings.player1.gamepadMap);
+        }
+        if (settings.player2) {
+            if (settings.player2.keyMap) this.remapPlayerKey(2, settings.player2.keyMap);
+            if (settings.player2.gamepadMap) this.remapPlayerGamepad(2, settings.player2.gamepadMap);
+        }
+    }
+
     setupKeyboard() {
         window.addEventListener("keydown", (e) => {
             this.handleKey(e.code, true);
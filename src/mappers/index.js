@@ -0,0 +1,55 @@
+// index.js
+// Mapper registry: iNES mapper number -> implementation.
+
+import Mapper0 from './mapper0.js';
+import Mapper1 from './mapper1.js';
+import Mapper2 from './mapper2.js';
+import Mapper3 from './mapper3.js';
+import Mapper4 from './mapper4.js';
+import Mapper5 from './mapper5.js';
+import Mapper7 from './mapper7.js';
+import Mapper9 from './mapper9.js';
+import Mapper10 from './mapper10.js';
+import Mapper11 from './mapper11.js';
+import Mapper13 from './mapper13.js';
+import Mapper21 from './mapper21.js';
+import Mapper24 from './mapper24.js';
+import Mapper34 from './mapper34.js';
+import Mapper66 from './mapper66.js';
+import Mapper71 from './mapper71.js';
+import Mapper73 from './mapper73.js';
+import Mapper75 from './mapper75.js';
+import Mapper85 from './mapper85.js';
+
+export const MAPPERS = {
+    0: Mapper0,
+    1: Mapper1,
+    2: Mapper2,
+    3: Mapper3,
+    4: Mapper4,
+    5: Mapper5,
+    7: Mapper7,
+    9: Mapper9,
+    10: Mapper10,
+    11: Mapper11,
+    13: Mapper13,
+    21: Mapper21, // VRC4a/VRC4c
+    22: Mapper21, // VRC2a
+    23: Mapper21, // VRC4e/VRC4f/VRC2b
+    24: Mapper24, // VRC6a
+    25: Mapper21, // VRC4b/VRC4d/VRC2c
+    26: Mapper24, // VRC6b
+    34: Mapper34,
+    66: Mapper66,
+    71: Mapper71,
+    73: Mapper73, // VRC3
+    75: Mapper75, // VRC1
+    85: Mapper85, // VRC7
+    155: Mapper1, // MMC1A
+};
+
+export function createMapper(cart) {
+    const Impl = MAPPERS[cart.mapperId];
+    if (!Impl) throw new Error(`Unsupported mapper ${cart.mapperId}`);
+    return new Impl(cart);
+}
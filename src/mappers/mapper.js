@@ -0,0 +1,86 @@
+// mapper.js
+// Base class for cartridge mappers.
+//
+// The cartridge forwards CPU accesses at $6000-$FFFF and PPU accesses at
+// $0000-$1FFF here. Mappers that bank-switch override the prg/chr methods;
+// mappers with an IRQ drive this.irqLine, which the emulator polls.
+// chrRead sees every pattern fetch the PPU makes, in order, so mappers that
+// react to the PPU's address bus (MMC2/MMC4 latches, the MMC3 counter) hook it.
+// Mappers with expansion audio define connectAPU(apu), which the bus calls on
+// insertion to register their channels with apu.addExpansionChannel().
+
+export default class Mapper {
+    constructor(cart) {
+        this.cart = cart;
+        this.irqLine = false;
+    }
+
+    reset() {
+        this.irqLine = false;
+    }
+
+    // $4020-$5FFF: mapper registers and RAM on boards that decode it
+    expansionRead(addr) {
+        return 0;
+    }
+
+    expansionWrite(addr, value) {
+    }
+
+    // $6000-$7FFF: battery/work RAM, mirrored when smaller than 8 KiB.
+    // Carts without any read back 0.
+    ramRead(addr) {
+        const ram = this.cart.sram;
+        return ram.length ? ram[(addr - 0x6000) % ram.length] : 0;
+    }
+
+    ramWrite(addr, value) {
+        const ram = this.cart.sram;
+        if (ram.length) {
+            ram[(addr - 0x6000) % ram.length] = value;
+            this.cart.sramDirty = true;
+        }
+    }
+
+    prgRead(addr) {
+        return 0;
+    }
+
+    prgWrite(addr, value) {
+    }
+
+    // Discrete boards without a write-enable let the PRG-ROM drive the data
+    // bus during register writes, so the latch sees the AND of both values.
+    // Subclasses set this.busConflicts when their board has them.
+    busConflict(addr, value) {
+        return this.busConflicts ? value & this.prgRead(addr) : value;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[addr];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[addr] = value;
+    }
+
+    // $2000-$3EFF: nametables. index is the offset into the console's
+    // nametable RAM (ciram) that the cartridge's mirroring picks; mappers
+    // that wire the nametables themselves ignore it.
+    ntRead(addr, ciram, index) {
+        return ciram[index];
+    }
+
+    ntWrite(addr, value, ciram, index) {
+        ciram[index] = value;
+    }
+
+    // Called once per PPU dot with the PPU, for mappers that count scanlines
+    ppuCycle(ppu) {
+    }
+
+    // Called once per CPU cycle, after the instruction's own accesses, for
+    // mappers that count CPU cycles or time their register writes
+    cpuClock() {
+    }
+}
@@ -0,0 +1,15 @@
+// mapper0.js
+// NROM: 16KB or 32KB PRG-ROM, 8KB CHR-ROM/RAM, no bank switching.
+
+import Mapper from './mapper.js';
+
+export default class Mapper0 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.prgMask = cart.prg.length > 0x4000 ? 0x7FFF : 0x3FFF;
+    }
+
+    prgRead(addr) {
+        return this.cart.prg[(addr - 0x8000) & this.prgMask];
+    }
+}
@@ -0,0 +1,160 @@
+// mapper1.js
+// MMC1 (SxROM): serial shift register, switchable PRG/CHR modes and mirroring.
+//
+// On boards with 8 KiB of CHR-RAM the CHR bank registers are free, and the
+// larger boards wire their upper bits to PRG instead:
+//   SUROM  512 KiB PRG: bit 4 picks the 256 KiB half
+//   SOROM  8 KiB work RAM + 8 KiB battery RAM: bit 3 picks the RAM bank
+//   SXROM  512 KiB PRG and 32 KiB PRG-RAM: bit 4 as SUROM, bits 2-3 pick the RAM bank
+// In 4 KiB CHR mode those lines follow whichever CHR register the PPU used
+// last ($A000 below PPU $1000, $C000 above); games keep both the same.
+//
+// The board comes from the NES 2.0 submapper when it names one (1 SUROM,
+// 2 SOROM, 4 SXROM, 5 SEROM/SHROM with fixed 32 KiB PRG), otherwise from the
+// PRG-ROM size and the work/battery RAM sizes in the header or game database.
+// A plain iNES header only has one 8 KiB battery window, so SOROM and SXROM
+// dumps need a NES 2.0 header or a database entry; without one they run as
+// SNROM/SUROM and their upper RAM banks alias the first.
+//
+// Mapper 155 (or submapper 3) is the MMC1A, which has no PRG-RAM disable bit.
+
+import Mapper from './mapper.js';
+
+const MIRRORING = ['single0', 'single1', 'vertical', 'horizontal'];
+const SUBMAPPER_BOARDS = { 1: 'SUROM', 2: 'SOROM', 4: 'SXROM', 5: 'SEROM' };
+
+// The CHR bank bits are only free for PRG banking without CHR-ROM
+function detectBoard(cart) {
+    const { prgRamSize, prgNvramSize } = cart.header;
+    if (!cart.chrRAM || cart.chr.length > 0x2000) return 'SxROM';
+    if (prgRamSize + prgNvramSize >= 0x8000) return 'SXROM';
+    if (prgRamSize + prgNvramSize >= 0x4000) return 'SOROM';
+    return cart.prg.length > 0x40000 ? 'SUROM' : 'SNROM';
+}
+
+export default class Mapper1 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.mmc1a = cart.mapperId === 155 || cart.submapper === 3;
+        this.board = SUBMAPPER_BOARDS[cart.submapper] || detectBoard(cart);
+        this.outerPrg = (this.board === 'SUROM' || this.board === 'SXROM') && cart.prg.length > 0x40000;
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.shift = 0x10;
+        this.ctrl = 0x0C;
+        this.chrBank0 = 0;
+        this.chrBank1 = 0;
+        this.prgBank = 0;
+        this.writeGuard = false;
+        this.ppuA12 = false;
+    }
+
+    // The serial port ignores a write on the cycle after another, so only the
+    // first write of a read-modify-write instruction lands (Bill & Ted)
+    cpuClock() {
+        this.writeGuard = false;
+    }
+
+    prgWrite(addr, value) {
+        if (this.writeGuard) return;
+        this.writeGuard = true;
+
+        if (value & 0x80) {
+            this.shift = 0x10;
+            this.ctrl |= 0x0C;
+            return;
+        }
+
+        const complete = this.shift & 1;
+        this.shift = (this.shift >> 1) | ((value & 1) << 4);
+        if (!complete) return;
+
+        const data = this.shift & 0x1F;
+        this.shift = 0x10;
+        switch ((addr >> 13) & 3) {
+            case 0:
+                this.ctrl = data;
+                this.cart.mirror = MIRRORING[data & 3];
+                break;
+            case 1: this.chrBank0 = data; break;
+            case 2: this.chrBank1 = data; break;
+            case 3: this.prgBank = data; break;
+        }
+    }
+
+    // The CHR register whose upper bits drive the board's PRG lines
+    get chrSelect() {
+        return (this.ctrl & 0x10) && this.ppuA12 ? this.chrBank1 : this.chrBank0;
+    }
+
+    // SUROM/SXROM 256 KiB outer bank, in 16 KiB bank units
+    get outerBank() {
+        return this.outerPrg ? this.chrSelect & 0x10 : 0;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        if (this.board === 'SEROM') return prg[(addr & 0x7FFF) % prg.length];
+        const banks = prg.length >> 14;
+        const inner = this.prgBank & 0x0F;
+        let bank;
+        switch ((this.ctrl >> 2) & 3) {
+            case 0:
+            case 1: // 32KB
+                bank = (inner & 0x0E) | (addr >= 0xC000 ? 1 : 0);
+                break;
+            case 2: // fixed first bank at $8000
+                bank = addr < 0xC000 ? 0 : inner;
+                break;
+            default: // fixed last bank at $C000
+                bank = addr < 0xC000 ? inner : 0x0F;
+                break;
+        }
+        return prg[(((this.outerBank | bank) % banks) << 14) | (addr & 0x3FFF)];
+    }
+
+    get ramEnabled() {
+        return this.mmc1a || !(this.prgBank & 0x10);
+    }
+
+    ramAddress(addr) {
+        let bank = 0;
+        if (this.board === 'SOROM') bank = (this.chrSelect >> 3) & 1;
+        else if (this.board === 'SXROM') bank = (this.chrSelect >> 2) & 3;
+        return ((bank << 13) | (addr & 0x1FFF)) % this.cart.sram.length;
+    }
+
+    ramRead(addr) {
+        if (!this.ramEnabled || !this.cart.sram.length) return 0;
+        return this.cart.sram[this.ramAddress(addr)];
+    }
+
+    ramWrite(addr, value) {
+        if (!this.ramEnabled || !this.cart.sram.length) return;
+        this.cart.sram[this.ramAddress(addr)] = value;
+        this.cart.sramDirty = true;
+    }
+
+    chrAddress(addr) {
+        let bank;
+        if (this.ctrl & 0x10) {
+            bank = addr < 0x1000 ? this.chrBank0 : this.chrBank1;
+        } else {
+            bank = (this.chrBank0 & 0x1E) | (addr >= 0x1000 ? 1 : 0);
+        }
+        return ((bank << 12) | (addr & 0x0FFF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        this.ppuA12 = addr >= 0x1000;
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        this.ppuA12 = addr >= 0x1000;
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
@@ -0,0 +1,22 @@
+// mapper10.js
+// MMC4 (FxROM, Fire Emblem): the MMC2's latched CHR switching with a 16KB
+// PRG bank at $8000, the last bank fixed at $C000, and 8KB of PRG-RAM.
+// Both latches trip on any row of tiles $FD/$FE.
+
+import Mapper9 from './mapper9.js';
+
+export default class Mapper10 extends Mapper9 {
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const banks = prg.length >> 14;
+        const bank = addr < 0xC000 ? this.prgBank % banks : banks - 1;
+        return prg[(bank << 14) | (addr & 0x3FFF)];
+    }
+
+    latchTile(addr) {
+        const tile = addr & 0x0FF0;
+        if (tile !== 0x0FD0 && tile !== 0x0FE0) return 0;
+        if ((addr & 0x0F) < 8) return 0;
+        return tile >> 4;
+    }
+}
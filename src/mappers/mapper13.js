@@ -0,0 +1,42 @@
+// mapper13.js
+// CPROM: fixed 32KB PRG and 16KB of CHR-RAM. $0000-$0FFF always shows the
+// first 4KB page; $1000-$1FFF shows the page picked by bits 0-1. The board
+// has bus conflicts.
+
+import Mapper from './mapper.js';
+
+export default class Mapper13 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.busConflicts = true;
+        // Plain iNES headers can only say "CHR-RAM", which defaults to 8KB
+        if (cart.chrRAM && cart.chr.length < 0x4000) cart.chr = new Uint8Array(0x4000);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.chrBank = 0;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        return prg[(addr - 0x8000) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        this.chrBank = this.busConflict(addr, value) & 0x03;
+    }
+
+    chrAddress(addr) {
+        return addr < 0x1000 ? addr : (this.chrBank << 12) | (addr & 0x0FFF);
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
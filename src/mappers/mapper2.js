@@ -0,0 +1,28 @@
+// mapper2.js
+// UxROM: switchable 16KB PRG bank at $8000, last bank fixed at $C000.
+// NES 2.0 submapper 2 marks boards with bus conflicts.
+
+import Mapper from './mapper.js';
+
+export default class Mapper2 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.busConflicts = cart.submapper === 2;
+        this.bank = 0;
+    }
+
+    reset() {
+        super.reset();
+        this.bank = 0;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const bank = addr < 0xC000 ? this.bank % (prg.length >> 14) : (prg.length >> 14) - 1;
+        return prg[(bank << 14) | (addr & 0x3FFF)];
+    }
+
+    prgWrite(addr, value) {
+        this.bank = this.busConflict(addr, value) & 0x0F;
+    }
+}
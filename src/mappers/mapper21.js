@@ -0,0 +1,156 @@
+// mapper21.js
+// Konami VRC2 and VRC4 (mappers 21, 22, 23 and 25).
+//
+//   $8000      8KB PRG bank at $8000 (or $C000 in VRC4 swap mode)
+//   $9000      mirroring: VRC2 vertical/horizontal, VRC4 also one-screen
+//   $9002      VRC4: bit 1 swaps the $8000 bank with the fixed $C000 one
+//   $A000      8KB PRG bank at $A000; $E000 is fixed to the last bank
+//   $B000-$E003  eight 1KB CHR banks, each written as a low nibble and then
+//              the high bits
+//   $F000-$F003  VRC4 IRQ: latch low/high nibble, control, acknowledge
+//
+// Boards wire the chip's two register-select pins to different CPU address
+// lines, which is what the mapper numbers and NES 2.0 submappers describe:
+//
+//   21.1 VRC4a  A1 A2        23.1 VRC4f  A0 A1      25.1 VRC4b  A1 A0
+//   21.2 VRC4c  A6 A7        23.2 VRC4e  A2 A3      25.2 VRC4d  A3 A2
+//   22   VRC2a  A1 A0        23.3 VRC2b  A0 A1      25.3 VRC2c  A1 A0
+//
+// Without a submapper both wirings of the mapper number are decoded at once,
+// which works because games only write the register addresses of their own.
+// Mappers 23 and 25 then cover VRC2 and VRC4 boards alike; the VRC2 ones
+// (Contra, Getsu Fuuma Den) are those without PRG-RAM, which a plain iNES
+// header can only say by leaving the battery bit clear. Since that is a
+// guess, the VRC4 IRQ stays decoded there: VRC2 games never write $F000.
+// VRC2a drops the lowest CHR bank bit. VRC2 carts without PRG-RAM have a
+// one-bit latch at $6000-$6FFF that some games use as a copy-protection check.
+
+import Mapper from './mapper.js';
+import VrcIrq from './vrcirq.js';
+
+// [bit 0 lines, bit 1 lines] per mapper and submapper; 0 = no submapper
+const WIRING = {
+    21: { 0: [[1, 6], [2, 7]], 1: [[1], [2]], 2: [[6], [7]] },
+    22: { 0: [[1], [0]] },
+    23: { 0: [[0, 2], [1, 3]], 1: [[0], [1]], 2: [[2], [3]], 3: [[0], [1]] },
+    25: { 0: [[1, 3], [0, 2]], 1: [[1], [0]], 2: [[3], [2]], 3: [[1], [0]] },
+};
+
+const MIRRORING = ['vertical', 'horizontal', 'single0', 'single1'];
+
+// The header's 8 KiB of PRG-RAM is only an assumption in plain iNES
+function hasPrgRam(cart) {
+    return cart.header.format === 'NES 2.0' ? cart.sram.length > 0 : cart.battery;
+}
+
+export default class Mapper21 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        const id = cart.mapperId;
+        const wiring = WIRING[id] || WIRING[21];
+        this.wiring = wiring[cart.submapper] || wiring[0];
+        const guess = (id === 23 || id === 25) && !cart.submapper;
+        this.vrc2 = id === 22 || ((id === 23 || id === 25) && cart.submapper === 3) || (guess && !hasPrgRam(cart));
+        this.irqDecoded = !this.vrc2 || guess;
+        this.microwireLatch = this.vrc2 && !hasPrgRam(cart);
+        this.chrShift = id === 22 ? 1 : 0;
+        this.chrBanks = new Uint16Array(8);
+        this.irq = new VrcIrq();
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBanks = [0, 0];
+        this.prgSwap = false;
+        this.chrBanks.fill(0);
+        this.microwire = 0;
+        this.irq.reset();
+    }
+
+    // Register number 0-3 within a $x000 page, from the board's address lines
+    register(addr) {
+        const [lo, hi] = this.wiring;
+        const bit = (lines) => lines.some((line) => (addr >> line) & 1) ? 1 : 0;
+        return bit(lo) | (bit(hi) << 1);
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const banks = prg.length >> 13;
+        let bank;
+        switch ((addr >> 13) & 3) {
+            case 0: bank = this.prgSwap ? banks - 2 : this.prgBanks[0]; break;
+            case 1: bank = this.prgBanks[1]; break;
+            case 2: bank = this.prgSwap ? this.prgBanks[0] : banks - 2; break;
+            default: bank = banks - 1; break;
+        }
+        return prg[((bank % banks) << 13) | (addr & 0x1FFF)];
+    }
+
+    prgWrite(addr, value) {
+        const reg = this.register(addr);
+        switch (addr & 0xF000) {
+            case 0x8000: this.prgBanks[0] = value & 0x1F; break;
+            case 0xA000: this.prgBanks[1] = value & 0x1F; break;
+            case 0x9000:
+                if (this.vrc2) this.setMirroring(value & 1);
+                else if (reg < 2) this.setMirroring(value & 3);
+                else this.prgSwap = (value & 2) !== 0;
+                break;
+            case 0xF000:
+                if (!this.irqDecoded) break;
+                switch (reg) {
+                    case 0: this.irq.setLatchLow(value); break;
+                    case 1: this.irq.setLatchHigh(value); break;
+                    case 2: this.irq.setControl(value); break;
+                    case 3: this.irq.acknowledge(); break;
+                }
+                this.irqLine = this.irq.pending;
+                break;
+            default: { // $B000-$E003: CHR banks
+                const slot = (((addr & 0xF000) - 0xB000) >> 11) | (reg >> 1);
+                const bank = this.chrBanks[slot];
+                this.chrBanks[slot] = (reg & 1)
+                    ? (bank & 0x0F) | ((value & (this.vrc2 ? 0x0F : 0x1F)) << 4)
+                    : (bank & 0x1F0) | (value & 0x0F);
+                break;
+            }
+        }
+    }
+
+    setMirroring(mode) {
+        if (this.cart.mirror !== 'four') this.cart.mirror = MIRRORING[mode];
+    }
+
+    ramRead(addr) {
+        if (this.microwireLatch) return addr < 0x7000 ? this.microwire : 0;
+        return super.ramRead(addr);
+    }
+
+    ramWrite(addr, value) {
+        if (this.microwireLatch) {
+            if (addr < 0x7000) this.microwire = value & 1;
+            return;
+        }
+        super.ramWrite(addr, value);
+    }
+
+    cpuClock() {
+        this.irq.clock();
+        this.irqLine = this.irq.pending;
+    }
+
+    chrAddress(addr) {
+        const bank = this.chrBanks[addr >> 10] >> this.chrShift;
+        return ((bank << 10) | (addr & 0x3FF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
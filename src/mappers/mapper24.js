@@ -0,0 +1,246 @@
+// mapper24.js
+// Konami VRC6 (mappers 24 and 26) with its expansion audio.
+//
+//   $8000      16KB PRG bank at $8000
+//   $C000      8KB PRG bank at $C000; $E000 is fixed to the last bank
+//   $B003      bits 0-1 CHR mode, bits 2-3 mirroring, bit 5 2KB CHR bank
+//              rule, bit 7 PRG-RAM enable
+//   $D000-$E003  CHR registers R0-R7
+//   $F000-$F002  IRQ: latch, control, acknowledge
+//   $9000-$B002  audio: two pulses and a sawtooth, $9003 frequency control
+//
+// Mapper 26 (Madara, Esper Dream 2) swaps the A0 and A1 register lines.
+// The modes that map CHR-ROM into the nametables are not emulated; no
+// licensed game uses them, so $B003 bit 4 is ignored.
+
+import Mapper from './mapper.js';
+import VrcIrq from './vrcirq.js';
+
+const MIRRORING = ['vertical', 'horizontal', 'single0', 'single1'];
+
+class VrcPulse {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.volume = 0;
+        this.duty = 0;
+        this.ignoreDuty = false;
+        this.period = 0;
+        this.enabled = false;
+        this.timer = 0;
+        this.step = 15;
+    }
+
+    write(reg, value) {
+        switch (reg) {
+            case 0:
+                this.volume = value & 0x0F;
+                this.duty = (value >> 4) & 7;
+                this.ignoreDuty = (value & 0x80) !== 0;
+                break;
+            case 1: this.period = (this.period & 0xF00) | value; break;
+            case 2:
+                this.period = (this.period & 0xFF) | ((value & 0x0F) << 8);
+                this.enabled = (value & 0x80) !== 0;
+                if (!this.enabled) this.step = 15;
+                break;
+        }
+    }
+
+    clock(shift) {
+        if (!this.enabled) return;
+        if (this.timer > 0) {
+            this.timer--;
+            return;
+        }
+        this.timer = this.period >> shift;
+        this.step = (this.step - 1) & 15;
+    }
+
+    output() {
+        return this.enabled && (this.ignoreDuty || this.step <= this.duty) ? this.volume : 0;
+    }
+}
+
+// Adds the rate to an 8-bit accumulator every other clock and clears it
+// after 14 clocks; the top five bits are the output
+class VrcSaw {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.rate = 0;
+        this.period = 0;
+        this.enabled = false;
+        this.timer = 0;
+        this.step = 0;
+        this.accumulator = 0;
+    }
+
+    write(reg, value) {
+        switch (reg) {
+            case 0: this.rate = value & 0x3F; break;
+            case 1: this.period = (this.period & 0xF00) | value; break;
+            case 2:
+                this.period = (this.period & 0xFF) | ((value & 0x0F) << 8);
+                this.enabled = (value & 0x80) !== 0;
+                if (!this.enabled) this.step = this.accumulator = 0;
+                break;
+        }
+    }
+
+    clock(shift) {
+        if (!this.enabled) return;
+        if (this.timer > 0) {
+            this.timer--;
+            return;
+        }
+        this.timer = this.period >> shift;
+        if (++this.step === 14) {
+            this.step = this.accumulator = 0;
+        } else if (!(this.step & 1)) {
+            this.accumulator = (this.accumulator + this.rate) & 0xFF;
+        }
+    }
+
+    output() {
+        return this.accumulator >> 3;
+    }
+}
+
+export default class Mapper24 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.swapLines = cart.mapperId === 26;
+        this.chrRegs = new Uint8Array(8);
+        this.chrBanks = new Uint16Array(8);
+        this.irq = new VrcIrq();
+        this.pulse1 = new VrcPulse();
+        this.pulse2 = new VrcPulse();
+        this.saw = new VrcSaw();
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prg16 = 0;
+        this.prg8 = 0;
+        this.bankingMode = 0;
+        this.chrRegs.fill(0);
+        this.updateChr();
+        this.audioHalt = false;
+        this.freqShift = 0;
+        this.pulse1.reset();
+        this.pulse2.reset();
+        this.saw.reset();
+        this.irq.reset();
+    }
+
+    connectAPU(apu) {
+        apu.addExpansionChannel({ id: 'vrc6Pulse1', max: 15, level: 0.15, output: () => this.pulse1.output() });
+        apu.addExpansionChannel({ id: 'vrc6Pulse2', max: 15, level: 0.15, output: () => this.pulse2.output() });
+        apu.addExpansionChannel({ id: 'vrc6Saw', max: 31, level: 0.3, output: () => this.saw.output() });
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        let offset;
+        if (addr < 0xC000) offset = (this.prg16 << 14) | (addr & 0x3FFF);
+        else if (addr < 0xE000) offset = (this.prg8 << 13) | (addr & 0x1FFF);
+        else offset = prg.length - 0x2000 + (addr & 0x1FFF);
+        return prg[offset % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        const reg = this.swapLines ? ((addr & 1) << 1) | ((addr >> 1) & 1) : addr & 3;
+        switch (addr & 0xF000) {
+            case 0x8000: this.prg16 = value & 0x0F; break;
+            case 0x9000:
+                if (reg === 3) {
+                    this.audioHalt = (value & 1) !== 0;
+                    this.freqShift = value & 4 ? 8 : value & 2 ? 4 : 0;
+                } else {
+                    this.pulse1.write(reg, value);
+                }
+                break;
+            case 0xA000: this.pulse2.write(reg, value); break;
+            case 0xB000:
+                if (reg === 3) {
+                    this.bankingMode = value;
+                    if (this.cart.mirror !== 'four') this.cart.mirror = MIRRORING[(value >> 2) & 3];
+                    this.updateChr();
+                } else {
+                    this.saw.write(reg, value);
+                }
+                break;
+            case 0xC000: this.prg8 = value & 0x1F; break;
+            case 0xD000:
+            case 0xE000:
+                this.chrRegs[(((addr & 0xF000) - 0xD000) >> 10) | reg] = value;
+                this.updateChr();
+                break;
+            case 0xF000:
+                switch (reg) {
+                    case 0: this.irq.setLatch(value); break;
+                    case 1: this.irq.setControl(value); break;
+                    case 2: this.irq.acknowledge(); break;
+                }
+                this.irqLine = this.irq.pending;
+                break;
+        }
+    }
+
+    // 1KB bank per pattern table slot. The 2KB modes take the low bank bit
+    // from PPU A10 when bit 5 is set, and repeat the 1KB bank when it is not.
+    updateChr() {
+        const r = this.chrRegs;
+        const mask = this.bankingMode & 0x20 ? 0xFE : 0xFF;
+        const high = this.bankingMode & 0x20 ? 1 : 0;
+        const pairs = (slot, regs) => {
+            for (const reg of regs) {
+                this.chrBanks[slot++] = r[reg] & mask;
+                this.chrBanks[slot++] = (r[reg] & mask) | high;
+            }
+        };
+        switch (this.bankingMode & 3) {
+            case 0: this.chrBanks.set(r); break;
+            case 1: pairs(0, [0, 1, 2, 3]); break;
+            default: // modes 2 and 3 differ only in the nametables
+                this.chrBanks.set(r.subarray(0, 4));
+                pairs(4, [4, 5]);
+                break;
+        }
+    }
+
+    ramRead(addr) {
+        return this.bankingMode & 0x80 ? super.ramRead(addr) : 0;
+    }
+
+    ramWrite(addr, value) {
+        if (this.bankingMode & 0x80) super.ramWrite(addr, value);
+    }
+
+    cpuClock() {
+        this.irq.clock();
+        this.irqLine = this.irq.pending;
+        if (this.audioHalt) return;
+        this.pulse1.clock(this.freqShift);
+        this.pulse2.clock(this.freqShift);
+        this.saw.clock(this.freqShift);
+    }
+
+    chrAddress(addr) {
+        return ((this.chrBanks[addr >> 10] << 10) | (addr & 0x3FF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
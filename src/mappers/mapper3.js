@@ -0,0 +1,31 @@
+// mapper3.js
+// CNROM: fixed PRG, switchable 8KB CHR bank.
+// NES 2.0 submapper 2 marks boards with bus conflicts.
+
+import Mapper from './mapper.js';
+
+export default class Mapper3 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.prgMask = cart.prg.length > 0x4000 ? 0x7FFF : 0x3FFF;
+        this.busConflicts = cart.submapper === 2;
+        this.chrBank = 0;
+    }
+
+    reset() {
+        super.reset();
+        this.chrBank = 0;
+    }
+
+    prgRead(addr) {
+        return this.cart.prg[(addr - 0x8000) & this.prgMask];
+    }
+
+    prgWrite(addr, value) {
+        this.chrBank = this.busConflict(addr, value) & 0x03;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[((this.chrBank << 13) | addr) % this.cart.chr.length];
+    }
+}
@@ -0,0 +1,54 @@
+// mapper34.js
+// Two unrelated boards share this number:
+//   BNROM (submapper 2): 32KB PRG bank written anywhere in $8000-$FFFF,
+//     8KB of CHR-RAM, bus conflicts
+//   NINA-001 (submapper 1): registers at $7FFD (32KB PRG bank), $7FFE and
+//     $7FFF (4KB CHR banks), which also land in the 8KB PRG-RAM underneath
+// Without a submapper, more than 8KB of CHR means NINA-001.
+
+import Mapper from './mapper.js';
+
+export default class Mapper34 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.nina = cart.submapper === 1 || (cart.submapper !== 2 && cart.chr.length > 0x2000);
+        this.busConflicts = !this.nina;
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBank = 0;
+        this.chrBanks = [0, 1];
+    }
+
+    ramWrite(addr, value) {
+        super.ramWrite(addr, value);
+        if (!this.nina) return;
+        if (addr === 0x7FFD) this.prgBank = value & 0x01;
+        else if (addr === 0x7FFE) this.chrBanks[0] = value & 0x0F;
+        else if (addr === 0x7FFF) this.chrBanks[1] = value & 0x0F;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        return prg[((this.prgBank << 15) | (addr & 0x7FFF)) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        if (!this.nina) this.prgBank = this.busConflict(addr, value);
+    }
+
+    chrAddress(addr) {
+        if (!this.nina) return addr;
+        return ((this.chrBanks[addr >> 12] << 12) | (addr & 0x0FFF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
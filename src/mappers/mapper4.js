@@ -0,0 +1,183 @@
+// mapper4.js
+// MMC3 (TxROM): 8KB PRG / 1KB-2KB CHR banking and the scanline IRQ counter.
+//
+// The IRQ counter is clocked by rising edges of PPU A12 as seen on CHR
+// fetches, after A12 has been low for a while; the MMC3 filters out the
+// short lows between fetches by counting M2 cycles. With the usual layout
+// (background at $0000, sprites at $1000) that is one clock per scanline at
+// the sprite fetches.
+//
+// NES 2.0 submappers:
+//   1  MMC6 (StarTropics): 1 KiB of internal RAM at $7000-$7FFF, enabled by
+//      $8000 bit 5, with separate read/write enables for each 512-byte half
+//   4  MMC3A "old" IRQ: reloading to 0 does not raise an IRQ unless the
+//      reload was requested through $C001
+
+import Mapper from './mapper.js';
+
+// A12 must stay low for about three CPU cycles before a rise counts
+const A12_FILTER_DOTS = 10;
+
+export default class Mapper4 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.mmc6 = cart.submapper === 1;
+        this.oldIrq = cart.submapper === 4;
+        this.prgBanks = new Uint8Array(4);
+        this.chrBanks = new Uint8Array(8);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.bankSelect = 0;
+        this.bankData = new Uint8Array(8);
+        this.prgMode = 0;
+        this.chrMode = 0;
+        this.irqLatch = 0;
+        this.irqCounter = 0;
+        this.irqEnable = false;
+        this.irqReload = false;
+        // Power-on contents are undefined; RAM starts enabled and writable
+        // because many games never touch $A001
+        this.ramProtect = this.mmc6 ? 0 : 0x80;
+        this.mmc6RamEnable = false;
+        this.dot = 0;
+        this.a12LowSince = 0;
+        this.updatePrgMapping();
+        this.updateChrMapping();
+    }
+
+    prgRead(addr) {
+        const bank = this.prgBanks[(addr - 0x8000) >> 13];
+        return this.cart.prg[(bank << 13) | (addr & 0x1FFF)];
+    }
+
+    prgWrite(addr, value) {
+        const even = (addr & 1) === 0;
+        if (addr < 0xA000) {
+            if (even) {
+                this.bankSelect = value;
+                this.prgMode = (value >> 6) & 1;
+                this.chrMode = (value >> 7) & 1;
+                if (this.mmc6) this.mmc6RamEnable = (value & 0x20) !== 0;
+            } else {
+                this.bankData[this.bankSelect & 7] = value;
+            }
+            this.updatePrgMapping();
+            this.updateChrMapping();
+        } else if (addr < 0xC000) {
+            if (even) {
+                if (this.cart.mirror !== 'four') this.cart.mirror = (value & 1) ? 'horizontal' : 'vertical';
+            } else if (!this.mmc6 || this.mmc6RamEnable) {
+                this.ramProtect = value;
+            }
+        } else if (addr < 0xE000) {
+            if (even) this.irqLatch = value;
+            else {
+                this.irqCounter = 0;
+                this.irqReload = true;
+            }
+        } else if (even) {
+            this.irqEnable = false;
+            this.irqLine = false;
+        } else {
+            this.irqEnable = true;
+        }
+    }
+
+    chrAddress(addr) {
+        const slot = this.chrMode ? (addr >> 10) ^ 4 : addr >> 10;
+        return ((this.chrBanks[slot] << 10) | (addr & 0x3FF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        this.watchA12(addr);
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        this.watchA12(addr);
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+
+    // MMC3: $A001 bit 7 enables the RAM, bit 6 write-protects it.
+    // MMC6: bits 7/6 are read/write enables for $7200-$73FF, bits 5/4 for
+    // $7000-$71FF, and $8000 bit 5 switches the whole RAM off. Disabled RAM
+    // reads back 0 (open bus is not modelled).
+    ramRead(addr) {
+        const ram = this.cart.sram;
+        if (!ram.length) return 0;
+        if (!this.mmc6) return (this.ramProtect & 0x80) ? ram[(addr - 0x6000) % ram.length] : 0;
+        if (addr < 0x7000 || !this.mmc6RamEnable) return 0;
+        const readable = this.ramProtect & ((addr & 0x200) ? 0x80 : 0x20);
+        return readable ? ram[(addr & 0x3FF) % ram.length] : 0;
+    }
+
+    ramWrite(addr, value) {
+        const ram = this.cart.sram;
+        if (!ram.length) return;
+        if (!this.mmc6) {
+            if ((this.ramProtect & 0xC0) !== 0x80) return;
+            ram[(addr - 0x6000) % ram.length] = value;
+        } else {
+            if (addr < 0x7000 || !this.mmc6RamEnable) return;
+            const half = (addr & 0x200) ? 0xC0 : 0x30;
+            // A half is writable only while it is also readable
+            if ((this.ramProtect & half) !== half) return;
+            ram[(addr & 0x3FF) % ram.length] = value;
+        }
+        this.cart.sramDirty = true;
+    }
+
+    ppuCycle() {
+        this.dot++;
+    }
+
+    // Clock the counter on a rising A12 after a long enough low
+    watchA12(addr) {
+        if (addr & 0x1000) {
+            if (this.a12LowSince >= 0 && this.dot - this.a12LowSince >= A12_FILTER_DOTS) this.clockCounter();
+            this.a12LowSince = -1;
+        } else if (this.a12LowSince < 0) {
+            this.a12LowSince = this.dot;
+        }
+    }
+
+    clockCounter() {
+        const before = this.irqCounter;
+        const reload = this.irqReload;
+        if (this.irqCounter === 0 || this.irqReload) {
+            this.irqCounter = this.irqLatch;
+            this.irqReload = false;
+        } else {
+            this.irqCounter--;
+        }
+        // The old MMC3A only fires when the counter reaches 0 by counting
+        // down or by a requested reload; the newer chips fire on every clock
+        // that leaves it at 0, so a latch of 0 raises an IRQ each scanline
+        if (this.irqCounter === 0 && this.irqEnable && (!this.oldIrq || before > 0 || reload)) this.irqLine = true;
+    }
+
+    updatePrgMapping() {
+        const last = (this.cart.prg.length >> 13) - 1;
+        const r6 = this.bankData[6] % (last + 1);
+        const r7 = this.bankData[7] % (last + 1);
+        this.prgBanks[0] = this.prgMode ? last - 1 : r6;
+        this.prgBanks[1] = r7;
+        this.prgBanks[2] = this.prgMode ? r6 : last - 1;
+        this.prgBanks[3] = last;
+    }
+
+    updateChrMapping() {
+        const r = this.bankData;
+        this.chrBanks[0] = r[0] & 0xFE;
+        this.chrBanks[1] = r[0] | 1;
+        this.chrBanks[2] = r[1] & 0xFE;
+        this.chrBanks[3] = r[1] | 1;
+        this.chrBanks[4] = r[2];
+        this.chrBanks[5] = r[3];
+        this.chrBanks[6] = r[4];
+        this.chrBanks[7] = r[5];
+    }
+}
@@ -0,0 +1,330 @@
+// mapper5.js
+// MMC5 (ExROM: Castlevania III, Just Breed, Uncharted Waters).
+//
+//   PRG   four modes ($5100) from one 32 KiB bank to four 8 KiB banks, each
+//         of $8000-$DFFF switchable between ROM and PRG-RAM ($5114-$5117
+//         bit 7), plus an 8 KiB RAM bank at $6000 ($5113). RAM writes need
+//         $5102 = %10 and $5103 = %01.
+//   CHR   1/2/4/8 KiB banks ($5101). With 8x16 sprites, sprites use set A
+//         ($5120-$5127) and the background set B ($5128-$512B); $2007 uses
+//         whichever set was written last. With 8x8 sprites set A is used for
+//         everything. $5130 holds bank bits 8-9 for the next write.
+//   ExRAM 1 KiB at $5C00 ($5104 mode): 0 extra nametable, 1 extended
+//         attributes (a CHR bank and palette for every background tile), 2
+//         CPU RAM, 3 CPU read-only.
+//   NT    each nametable picks CIRAM page 0/1, ExRAM or the fill tile and
+//         colour ($5105-$5107).
+//   Split the left or right part of the screen ($5200) is drawn from ExRAM
+//         with its own Y scroll ($5201) and 4 KiB CHR bank ($5202).
+//   IRQ   the chip spots the start of each scanline by three reads of the
+//         same nametable address (the PPU's dummy fetches at the end of a
+//         line) and compares a scanline count with $5203. $5204 reads back
+//         pending/in-frame and acknowledges the IRQ.
+//   $5205/$5206 an 8x8 unsigned multiplier.
+//
+// The chip tells tile, attribute, pattern and sprite fetches apart by their
+// order on the PPU bus; here the fetch is read off the PPU's dot instead,
+// since this PPU makes the sprite fetches in one go at dot 257. Expansion
+// audio is not emulated.
+
+import Mapper from './mapper.js';
+
+// Fetch steps in the PPU's 8-dot background cycle (see PPU.fetchBackground)
+const FETCH_NT = 0;
+const FETCH_AT = 2;
+const FETCH_PATTERN_LO = 4;
+const FETCH_PATTERN_HI = 6;
+
+export default class Mapper5 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.ppu = null;
+        this.exram = new Uint8Array(0x400);
+        this.prgRegs = new Uint8Array(5);   // $5113-$5117
+        this.chrRegs = new Uint16Array(12); // $5120-$512B, with the $5130 bits
+        this.chrA = new Uint32Array(8);     // 1 KiB bank per PPU slot
+        this.chrB = new Uint32Array(8);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgMode = 3;
+        this.chrMode = 0;
+        this.prgRegs.fill(0);
+        this.prgRegs[4] = 0xFF; // $E000 starts on the last bank
+        this.chrRegs.fill(0);
+        this.chrUpper = 0;
+        this.lastSetB = false;
+        this.ramProtect1 = 0;
+        this.ramProtect2 = 0;
+        this.exramMode = 0;
+        this.ntMapping = 0;
+        this.fillTile = 0;
+        this.fillAttr = 0;
+        this.splitCtrl = 0;
+        this.splitScroll = 0;
+        this.splitBank = 0;
+        this.irqTarget = 0;
+        this.irqEnable = false;
+        this.irqPending = false;
+        this.inFrame = false;
+        this.scanline = 0;
+        this.lastRead = -1;
+        this.readMatches = 0;
+        this.multiplicand = 0xFF;
+        this.multiplier = 0xFF;
+        // Per-tile state from the nametable fetch, used by the fetches after it
+        this.exTile = 0;
+        this.split = false;
+        this.splitX = 0;
+        this.splitY = 0;
+        this.updateChrMapping();
+    }
+
+    // ─── CPU side ────────────────────────────────────────────────────────────
+
+    expansionRead(addr) {
+        if (addr >= 0x5C00) return this.exramMode >= 2 ? this.exram[addr - 0x5C00] : 0;
+        switch (addr) {
+            case 0x5204: {
+                const value = (this.irqPending ? 0x80 : 0) | (this.inFrame ? 0x40 : 0);
+                this.irqPending = false;
+                this.updateIrq();
+                return value;
+            }
+            case 0x5205: return (this.multiplicand * this.multiplier) & 0xFF;
+            case 0x5206: return (this.multiplicand * this.multiplier) >> 8;
+        }
+        return 0;
+    }
+
+    expansionWrite(addr, value) {
+        if (addr >= 0x5C00) {
+            // As nametable/attribute memory it only takes writes during
+            // rendering; at other times a 0 is written
+            if (this.exramMode <= 1) this.exram[addr - 0x5C00] = this.inFrame ? value : 0;
+            else if (this.exramMode === 2) this.exram[addr - 0x5C00] = value;
+            return;
+        }
+        if (addr >= 0x5113 && addr <= 0x5117) {
+            this.prgRegs[addr - 0x5113] = value;
+            return;
+        }
+        if (addr >= 0x5120 && addr <= 0x512B) {
+            this.chrRegs[addr - 0x5120] = (this.chrUpper << 8) | value;
+            this.lastSetB = addr >= 0x5128;
+            this.updateChrMapping();
+            return;
+        }
+        switch (addr) {
+            case 0x5100: this.prgMode = value & 3; break;
+            case 0x5101: this.chrMode = value & 3; this.updateChrMapping(); break;
+            case 0x5102: this.ramProtect1 = value & 3; break;
+            case 0x5103: this.ramProtect2 = value & 3; break;
+            case 0x5104: this.exramMode = value & 3; break;
+            case 0x5105: this.ntMapping = value; break;
+            case 0x5106: this.fillTile = value; break;
+            case 0x5107: this.fillAttr = (value & 3) * 0x55; break;
+            case 0x5130: this.chrUpper = value & 3; break;
+            case 0x5200: this.splitCtrl = value; break;
+            case 0x5201: this.splitScroll = value; break;
+            case 0x5202: this.splitBank = value; break;
+            case 0x5203: this.irqTarget = value; break;
+            case 0x5204: this.irqEnable = (value & 0x80) !== 0; this.updateIrq(); break;
+            case 0x5205: this.multiplicand = value; break;
+            case 0x5206: this.multiplier = value; break;
+        }
+    }
+
+    // 8 KiB bank for a $8000-$FFFF slot, as register bits: bit 7 set for ROM
+    prgBank(addr) {
+        const r = this.prgRegs;
+        const slot = (addr >> 13) & 3;
+        switch (this.prgMode) {
+            case 0: return (r[4] & 0xFC) | slot | 0x80;
+            case 1: return slot < 2 ? (r[2] & 0xFE) | slot : (r[4] & 0xFE) | (slot & 1) | 0x80;
+            case 2:
+                if (slot < 2) return (r[2] & 0xFE) | slot;
+                return slot === 2 ? r[3] : r[4] | 0x80;
+            default: return slot === 3 ? r[4] | 0x80 : r[slot + 1];
+        }
+    }
+
+    ramAddress(bank, addr) {
+        return (((bank & 7) << 13) | (addr & 0x1FFF)) % this.cart.sram.length;
+    }
+
+    get ramWritable() {
+        return this.ramProtect1 === 2 && this.ramProtect2 === 1 && this.cart.sram.length > 0;
+    }
+
+    prgRead(addr) {
+        const bank = this.prgBank(addr);
+        if (bank & 0x80) {
+            const prg = this.cart.prg;
+            return prg[(((bank & 0x7F) << 13) | (addr & 0x1FFF)) % prg.length];
+        }
+        return this.cart.sram.length ? this.cart.sram[this.ramAddress(bank, addr)] : 0;
+    }
+
+    prgWrite(addr, value) {
+        const bank = this.prgBank(addr);
+        if (bank & 0x80 || !this.ramWritable) return;
+        this.cart.sram[this.ramAddress(bank, addr)] = value;
+        this.cart.sramDirty = true;
+    }
+
+    ramRead(addr) {
+        return this.cart.sram.length ? this.cart.sram[this.ramAddress(this.prgRegs[0], addr)] : 0;
+    }
+
+    ramWrite(addr, value) {
+        if (!this.ramWritable) return;
+        this.cart.sram[this.ramAddress(this.prgRegs[0], addr)] = value;
+        this.cart.sramDirty = true;
+    }
+
+    // ─── PPU side ────────────────────────────────────────────────────────────
+
+    ppuCycle(ppu) {
+        this.ppu = ppu;
+        // The chip drops out of the frame once the PPU stops fetching
+        if (this.inFrame && (ppu.scanline === 240 || !ppu.renderingEnabled)) {
+            this.inFrame = false;
+            this.lastRead = -1;
+        }
+    }
+
+    // Three reads of one address in a row mark the start of a scanline
+    watchRead(addr) {
+        if (addr !== this.lastRead) {
+            this.lastRead = addr;
+            this.readMatches = 0;
+        } else if (++this.readMatches === 2) {
+            if (!this.inFrame) {
+                this.inFrame = true;
+                this.scanline = 0;
+                this.irqPending = false;
+            } else if (++this.scanline === this.irqTarget) {
+                this.irqPending = true;
+            }
+            this.updateIrq();
+        }
+    }
+
+    updateIrq() {
+        this.irqLine = this.irqPending && this.irqEnable;
+    }
+
+    // Step of the background fetch cycle the PPU is at, or -1 outside
+    // background fetches (sprite fetches, vblank, $2007 accesses)
+    fetchStep() {
+        const ppu = this.ppu;
+        if (!ppu || !ppu.renderingEnabled || (ppu.scanline >= 240 && ppu.scanline !== ppu.preRenderLine)) return -1;
+        if (ppu.cycle >= 257 && ppu.cycle <= 320) return -1;
+        return (ppu.cycle - 1) & 7;
+    }
+
+    // Decide at the nametable fetch whether this tile lies in the split region
+    startTile() {
+        const ppu = this.ppu;
+        // Dots 321-337 fetch the first three tiles of the next line
+        const next = ppu.cycle >= 321;
+        const tile = next ? (ppu.cycle - 321) >> 3 : ((ppu.cycle - 9) >> 3) + 3;
+        const threshold = this.splitCtrl & 0x1F;
+        this.split = (this.splitCtrl & 0x80) !== 0 && this.exramMode <= 1 &&
+            ((this.splitCtrl & 0x40) ? tile >= threshold : tile < threshold);
+        if (!this.split) return;
+        const line = next ? (ppu.scanline === ppu.preRenderLine ? 0 : ppu.scanline + 1) : ppu.scanline;
+        this.splitX = tile & 0x1F;
+        this.splitY = (this.splitScroll + line) % 240;
+    }
+
+    ntRead(addr, ciram, index) {
+        this.watchRead(addr);
+        const step = this.fetchStep();
+        if (step === FETCH_NT) {
+            this.startTile();
+            if (this.split) return this.exram[((this.splitY >> 3) << 5) | this.splitX];
+            if (this.exramMode === 1) this.exTile = this.exram[addr & 0x3FF];
+        } else if (step === FETCH_AT) {
+            // Repeat the palette in all four quadrants so the PPU's own shift picks it
+            if (this.split) {
+                const attr = this.exram[0x3C0 | ((this.splitY >> 5) << 3) | (this.splitX >> 2)];
+                const shift = ((this.splitY >> 2) & 4) | (this.splitX & 2);
+                return ((attr >> shift) & 3) * 0x55;
+            }
+            if (this.exramMode === 1) return (this.exTile >> 6) * 0x55;
+        }
+        const offset = addr & 0x3FF;
+        switch ((this.ntMapping >> (((addr >> 10) & 3) * 2)) & 3) {
+            case 0: return ciram[offset];
+            case 1: return ciram[0x400 | offset];
+            case 2: return this.exramMode <= 1 ? this.exram[offset] : 0;
+            default: return offset < 0x3C0 ? this.fillTile : this.fillAttr;
+        }
+    }
+
+    ntWrite(addr, value, ciram, index) {
+        const offset = addr & 0x3FF;
+        switch ((this.ntMapping >> (((addr >> 10) & 3) * 2)) & 3) {
+            case 0: ciram[offset] = value; break;
+            case 1: ciram[0x400 | offset] = value; break;
+            case 2: if (this.exramMode <= 1) this.exram[offset] = value; break;
+        }
+    }
+
+    updateChrMapping() {
+        const r = this.chrRegs;
+        for (let slot = 0; slot < 8; slot++) {
+            switch (this.chrMode) {
+                case 0:
+                    this.chrA[slot] = r[7] * 8 + slot;
+                    this.chrB[slot] = r[11] * 8 + slot;
+                    break;
+                case 1:
+                    this.chrA[slot] = r[slot < 4 ? 3 : 7] * 4 + (slot & 3);
+                    this.chrB[slot] = r[11] * 4 + (slot & 3);
+                    break;
+                case 2:
+                    this.chrA[slot] = r[(slot | 1)] * 2 + (slot & 1);
+                    this.chrB[slot] = r[8 + ((slot & 3) | 1)] * 2 + (slot & 1);
+                    break;
+                default:
+                    this.chrA[slot] = r[slot];
+                    this.chrB[slot] = r[8 + (slot & 3)];
+                    break;
+            }
+        }
+    }
+
+    chrAddress(addr) {
+        let banks = this.chrA;
+        if (this.ppu && (this.ppu.ctrl & 0x20)) {
+            const ppu = this.ppu;
+            const rendering = ppu.renderingEnabled && (ppu.scanline < 240 || ppu.scanline === ppu.preRenderLine);
+            const sprites = ppu.cycle >= 257 && ppu.cycle <= 320;
+            if (rendering ? !sprites : this.lastSetB) banks = this.chrB;
+        }
+        return ((banks[addr >> 10] << 10) | (addr & 0x3FF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        this.watchRead(addr);
+        const chr = this.cart.chr;
+        const step = this.fetchStep();
+        if (step === FETCH_PATTERN_LO || step === FETCH_PATTERN_HI) {
+            if (this.split) return chr[((this.splitBank << 12) | (addr & 0x0FF8) | (this.splitY & 7)) % chr.length];
+            if (this.exramMode === 1) {
+                const bank = (this.chrUpper << 6) | (this.exTile & 0x3F);
+                return chr[((bank << 12) | (addr & 0x0FFF)) % chr.length];
+            }
+        }
+        return chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
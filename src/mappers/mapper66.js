@@ -0,0 +1,34 @@
+// mapper66.js
+// GxROM (GNROM/MHROM): 32KB PRG bank in bits 4-5, 8KB CHR bank in bits 0-1.
+// The board has bus conflicts.
+
+import Mapper from './mapper.js';
+
+export default class Mapper66 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.busConflicts = true;
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBank = 0;
+        this.chrBank = 0;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        return prg[((this.prgBank << 15) | (addr & 0x7FFF)) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        value = this.busConflict(addr, value);
+        this.prgBank = (value >> 4) & 0x03;
+        this.chrBank = value & 0x03;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[((this.chrBank << 13) | addr) % this.cart.chr.length];
+    }
+}
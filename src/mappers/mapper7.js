@@ -0,0 +1,30 @@
+// mapper7.js
+// AxROM: switchable 32KB PRG bank, one-screen mirroring picked by bit 4.
+// NES 2.0 submapper 2 (AOROM) has bus conflicts, submapper 1 (ANROM) does not.
+
+import Mapper from './mapper.js';
+
+export default class Mapper7 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.busConflicts = cart.submapper === 2;
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBank = 0;
+        this.cart.mirror = 'single0';
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        return prg[((this.prgBank << 15) | (addr & 0x7FFF)) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        value = this.busConflict(addr, value);
+        this.prgBank = value & 0x0F;
+        this.cart.mirror = (value & 0x10) ? 'single1' : 'single0';
+    }
+}
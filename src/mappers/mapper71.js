@@ -0,0 +1,34 @@
+// mapper71.js
+// Camerica/Codemasters (BF909x): UxROM-like, with the 16KB bank register at
+// $C000-$FFFF and the last bank fixed at $C000. No bus conflicts.
+//
+// Only Fire Hawk (BF9097, NES 2.0 submapper 1) controls mirroring, through
+// bit 4 of writes to $9000-$9FFF. The other games never write there, so
+// those writes are honoured whatever the submapper says, which covers Fire
+// Hawk dumps with plain iNES headers.
+
+import Mapper from './mapper.js';
+
+export default class Mapper71 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.bank = 0;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const banks = prg.length >> 14;
+        const bank = addr < 0xC000 ? this.bank % banks : banks - 1;
+        return prg[(bank << 14) | (addr & 0x3FFF)];
+    }
+
+    prgWrite(addr, value) {
+        if (addr >= 0xC000) this.bank = value;
+        else if (addr >= 0x9000 && addr < 0xA000) this.cart.mirror = (value & 0x10) ? 'single1' : 'single0';
+    }
+}
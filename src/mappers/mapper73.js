@@ -0,0 +1,75 @@
+// mapper73.js
+// Konami VRC3 (Salamander): 16KB PRG bank and a 16-bit CPU-cycle IRQ.
+//
+//   $8000-$B000  IRQ latch, one nibble per register, lowest first
+//   $C000      IRQ control: bit 0 re-enable on acknowledge, bit 1 enable
+//              (reloads the counter), bit 2 8-bit mode
+//   $D000      IRQ acknowledge
+//   $F000      16KB PRG bank at $8000; $C000 is fixed to the last bank
+//
+// The counter counts up every CPU cycle and raises the IRQ on overflow. In
+// 8-bit mode only the low byte counts and reloads. CHR is 8KB of RAM.
+
+import Mapper from './mapper.js';
+
+export default class Mapper73 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBank = 0;
+        this.irqLatch = 0;
+        this.irqCounter = 0;
+        this.irqControl = 0;
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const bank = addr < 0xC000 ? this.prgBank : (prg.length >> 14) - 1;
+        return prg[((bank << 14) | (addr & 0x3FFF)) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        switch (addr & 0xF000) {
+            case 0x8000:
+            case 0x9000:
+            case 0xA000:
+            case 0xB000: {
+                const shift = ((addr >> 12) - 8) * 4;
+                this.irqLatch = (this.irqLatch & ~(0x0F << shift)) | ((value & 0x0F) << shift);
+                break;
+            }
+            case 0xC000:
+                this.irqControl = value & 7;
+                if (value & 2) this.irqCounter = this.irqLatch;
+                this.irqLine = false;
+                break;
+            case 0xD000:
+                this.irqLine = false;
+                this.irqControl = (this.irqControl & ~2) | ((this.irqControl & 1) << 1);
+                break;
+            case 0xF000: this.prgBank = value & 7; break;
+        }
+    }
+
+    cpuClock() {
+        if (!(this.irqControl & 2)) return;
+        if (this.irqControl & 4) {
+            const low = this.irqCounter & 0xFF;
+            if (low === 0xFF) {
+                this.irqCounter = (this.irqCounter & 0xFF00) | (this.irqLatch & 0xFF);
+                this.irqLine = true;
+            } else {
+                this.irqCounter++;
+            }
+        } else if (this.irqCounter === 0xFFFF) {
+            this.irqCounter = this.irqLatch;
+            this.irqLine = true;
+        } else {
+            this.irqCounter++;
+        }
+    }
+}
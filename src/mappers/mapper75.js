@@ -0,0 +1,57 @@
+// mapper75.js
+// Konami VRC1: three 8KB PRG banks and two 4KB CHR banks.
+//
+//   $8000/$A000/$C000  8KB PRG banks; $E000 is fixed to the last bank
+//   $9000      bit 0 mirroring (vertical/horizontal), bits 1-2 the high bit
+//              of CHR banks 0 and 1
+//   $E000/$F000  low four bits of the CHR banks at $0000 and $1000
+
+import Mapper from './mapper.js';
+
+export default class Mapper75 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBanks = [0, 0, 0];
+        this.chrBanks = [0, 0];
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const slot = (addr >> 13) & 3;
+        const bank = slot === 3 ? (prg.length >> 13) - 1 : this.prgBanks[slot];
+        return prg[((bank << 13) | (addr & 0x1FFF)) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        switch (addr & 0xF000) {
+            case 0x8000: this.prgBanks[0] = value & 0x0F; break;
+            case 0xA000: this.prgBanks[1] = value & 0x0F; break;
+            case 0xC000: this.prgBanks[2] = value & 0x0F; break;
+            case 0x9000:
+                if (this.cart.mirror !== 'four') this.cart.mirror = (value & 1) ? 'horizontal' : 'vertical';
+                this.chrBanks[0] = (this.chrBanks[0] & 0x0F) | ((value & 2) << 3);
+                this.chrBanks[1] = (this.chrBanks[1] & 0x0F) | ((value & 4) << 2);
+                break;
+            case 0xE000: this.chrBanks[0] = (this.chrBanks[0] & 0x10) | (value & 0x0F); break;
+            case 0xF000: this.chrBanks[1] = (this.chrBanks[1] & 0x10) | (value & 0x0F); break;
+        }
+    }
+
+    chrAddress(addr) {
+        const bank = this.chrBanks[addr >> 12];
+        return ((bank << 12) | (addr & 0x0FFF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
@@ -0,0 +1,96 @@
+// mapper85.js
+// Konami VRC7 (Lagrange Point, Tiny Toon Adventures 2).
+//
+//   $8000/$8010  8KB PRG banks at $8000 and $A000
+//   $9000      8KB PRG bank at $C000; $E000 is fixed to the last bank
+//   $A000-$D010  eight 1KB CHR banks, two per $x000 page
+//   $E000      bits 0-1 mirroring, bit 7 PRG-RAM enable
+//   $E010/$F000/$F010  IRQ: latch, control, acknowledge
+//
+// The second register of each page is at A4 on the VRC7a (submapper 2) and
+// at A3 on the VRC7b (submapper 1); without a submapper either line selects
+// it. The FM synthesizer at $9010/$9030 is not emulated, so Lagrange Point
+// plays without its music.
+
+import Mapper from './mapper.js';
+import VrcIrq from './vrcirq.js';
+
+const MIRRORING = ['vertical', 'horizontal', 'single0', 'single1'];
+
+export default class Mapper85 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.selectMask = { 1: 0x08, 2: 0x10 }[cart.submapper] || 0x18;
+        this.chrBanks = new Uint8Array(8);
+        this.irq = new VrcIrq();
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBanks = [0, 0, 0];
+        this.chrBanks.fill(0);
+        this.control = 0;
+        this.irq.reset();
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const slot = (addr >> 13) & 3;
+        const bank = slot === 3 ? (prg.length >> 13) - 1 : this.prgBanks[slot];
+        return prg[((bank << 13) | (addr & 0x1FFF)) % prg.length];
+    }
+
+    prgWrite(addr, value) {
+        const second = (addr & this.selectMask) !== 0;
+        const page = addr & 0xF000;
+        switch (page) {
+            case 0x8000: this.prgBanks[second ? 1 : 0] = value & 0x3F; break;
+            case 0x9000: if (!second) this.prgBanks[2] = value & 0x3F; break;
+            case 0xA000:
+            case 0xB000:
+            case 0xC000:
+            case 0xD000:
+                this.chrBanks[((page - 0xA000) >> 11) | (second ? 1 : 0)] = value;
+                break;
+            case 0xE000:
+                if (second) {
+                    this.irq.setLatch(value);
+                } else {
+                    this.control = value;
+                    if (this.cart.mirror !== 'four') this.cart.mirror = MIRRORING[value & 3];
+                }
+                break;
+            case 0xF000:
+                if (second) this.irq.acknowledge();
+                else this.irq.setControl(value);
+                this.irqLine = this.irq.pending;
+                break;
+        }
+    }
+
+    ramRead(addr) {
+        return this.control & 0x80 ? super.ramRead(addr) : 0;
+    }
+
+    ramWrite(addr, value) {
+        if (this.control & 0x80) super.ramWrite(addr, value);
+    }
+
+    cpuClock() {
+        this.irq.clock();
+        this.irqLine = this.irq.pending;
+    }
+
+    chrAddress(addr) {
+        return ((this.chrBanks[addr >> 10] << 10) | (addr & 0x3FF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        return this.cart.chr[this.chrAddress(addr)];
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+}
@@ -0,0 +1,79 @@
+// mapper9.js
+// MMC2 (PxROM, Punch-Out!!): 8KB PRG bank at $8000 with the last three fixed,
+// and two 4KB CHR halves that each have a pair of banks. A latch per half
+// picks which bank of the pair is used, and flips by itself when the PPU
+// fetches tile $FD or $FE from that half, so games can switch CHR mid-frame
+// just by placing those tiles.
+//
+// The latch changes after the fetch that triggers it, so the triggering tile
+// still comes from the old bank. On the MMC2 only $0FD8/$0FE8 (the first row
+// of the tile) trip the left latch; the right one and both of the MMC4's
+// (mapper10.js) watch all eight rows.
+
+import Mapper from './mapper.js';
+
+export default class Mapper9 extends Mapper {
+    constructor(cart) {
+        super(cart);
+        this.chrBanks = new Uint8Array(4); // $0000 FD, $0000 FE, $1000 FD, $1000 FE
+        this.latches = new Uint8Array(2);
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
+        this.prgBank = 0;
+        this.chrBanks.fill(0);
+        this.latches.fill(0xFE);
+    }
+
+    prgRead(addr) {
+        const prg = this.cart.prg;
+        const banks = prg.length >> 13;
+        const slot = (addr - 0x8000) >> 13;
+        const bank = slot === 0 ? this.prgBank % banks : banks - 4 + slot;
+        return prg[(bank << 13) | (addr & 0x1FFF)];
+    }
+
+    prgWrite(addr, value) {
+        switch (addr >> 12) {
+            case 0xA: this.prgBank = value & 0x0F; break;
+            case 0xB: this.chrBanks[0] = value & 0x1F; break;
+            case 0xC: this.chrBanks[1] = value & 0x1F; break;
+            case 0xD: this.chrBanks[2] = value & 0x1F; break;
+            case 0xE: this.chrBanks[3] = value & 0x1F; break;
+            case 0xF:
+                if (this.cart.mirror !== 'four') this.cart.mirror = (value & 1) ? 'horizontal' : 'vertical';
+                break;
+        }
+    }
+
+    chrAddress(addr) {
+        const half = addr >> 12;
+        const bank = this.chrBanks[half * 2 + (this.latches[half] === 0xFE ? 1 : 0)];
+        return ((bank << 12) | (addr & 0x0FFF)) % this.cart.chr.length;
+    }
+
+    chrRead(addr) {
+        const value = this.cart.chr[this.chrAddress(addr)];
+        this.watchLatch(addr);
+        return value;
+    }
+
+    chrWrite(addr, value) {
+        if (this.cart.chrRAM) this.cart.chr[this.chrAddress(addr)] = value;
+    }
+
+    // Returns the tile ($FD/$FE) a fetch of addr trips the latch with, or 0
+    latchTile(addr) {
+        const tile = addr & 0x0FF0;
+        if (tile !== 0x0FD0 && tile !== 0x0FE0) return 0;
+        if ((addr & 0x0F) < 8 || (addr < 0x1000 && (addr & 7))) return 0; // only the high plane
+        return tile >> 4;
+    }
+
+    watchLatch(addr) {
+        const tile = this.latchTile(addr);
+        if (tile) this.latches[addr >> 12] = tile;
+    }
+}
@@ -0,0 +1,72 @@
+// vrcirq.js
+// The IRQ counter shared by the VRC4, VRC6 and VRC7.
+//
+// An 8-bit counter counts up from the latch and raises the IRQ when it
+// overflows, reloading from the latch. In cycle mode it counts every CPU
+// cycle; in scanline mode a prescaler counts CPU cycles in thirds of a PPU
+// dot and clocks it every 341 dots (113.667 CPU cycles), which approximates
+// a scanline without watching the PPU.
+//
+// Control register: bit 0 re-enables the counter on acknowledge, bit 1
+// enables it (reloading from the latch), bit 2 selects cycle mode.
+
+export default class VrcIrq {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.latch = 0;
+        this.counter = 0;
+        this.prescaler = 341;
+        this.enable = false;
+        this.enableAfterAck = false;
+        this.cycleMode = false;
+        this.pending = false;
+    }
+
+    setLatch(value) {
+        this.latch = value & 0xFF;
+    }
+
+    // VRC4 writes the latch a nibble at a time
+    setLatchLow(value) {
+        this.latch = (this.latch & 0xF0) | (value & 0x0F);
+    }
+
+    setLatchHigh(value) {
+        this.latch = (this.latch & 0x0F) | ((value & 0x0F) << 4);
+    }
+
+    setControl(value) {
+        this.enableAfterAck = (value & 1) !== 0;
+        this.enable = (value & 2) !== 0;
+        this.cycleMode = (value & 4) !== 0;
+        if (this.enable) {
+            this.counter = this.latch;
+            this.prescaler = 341;
+        }
+        this.pending = false;
+    }
+
+    acknowledge() {
+        this.pending = false;
+        this.enable = this.enableAfterAck;
+    }
+
+    // Once per CPU cycle
+    clock() {
+        if (!this.enable) return;
+        if (!this.cycleMode) {
+            this.prescaler -= 3;
+            if (this.prescaler > 0) return;
+            this.prescaler += 341;
+        }
+        if (this.counter === 0xFF) {
+            this.counter = this.latch;
+            this.pending = true;
+        } else {
+            this.counter++;
+        }
+    }
+}
@@ -1,11 +1,17 @@
 // memory.js
 // NES CPU Memory Map Implementation
 // 0x0000 - 0xFFFF
+//
+// This is the emulator's Bus: it owns internal RAM, routes register accesses
+// to the PPU/APU/controllers and everything from $4020 up to the cartridge.
+
+import Cartridge from './cartridge.js';
 
 export default class Memory {
-    constructor(cartridge, ppu, apu, controllers) {
+    constructor(cartridge = null, ppu = null, apu = null, controllers = null) {
         this.ram = new Uint8Array(0x0800); // 2KB internal RAM
         this.cartridge = cartridge;        // PRG-ROM / Mapper
+        this.cpu = null;                   // for OAM DMA stalls
         this.ppu = ppu;                    // Picture Processing Unit
         this.apu = apu;                    // Audio Processing Unit
         this.controllers = controllers;    // Input
@@ -13,8 +19,33 @@ export default class Memory {
         this.reset();
     }
 
+    connectCPU(cpu) { this.cpu = cpu; }
+    connectPPU(ppu) { this.ppu = ppu; }
+    connectInput(input) { this.controllers = input; }
+
+    connectAPU(apu) {
+        this.apu = apu;
+        if (apu.connectBus) apu.connectBus(this); // DMC sample fetches
+    }
+
+    loadCartridge(romBytes) {
+        this.cartridge = new Cartridge(romBytes);
+        // Expansion audio channels belong to the cartridge that is inserted
+        if (this.apu && this.apu.clearExpansionChannels) {
+            this.apu.clearExpansionChannels();
+            const mapper = this.cartridge.mapper;
+            if (mapper.connectAPU) mapper.connectAPU(this.apu);
+        }
+    }
+
+    // Mapper of the inserted cartridge; the emulator polls its irqLine
+    get mapper() {
+        return this.cartridge ? this.cartridge.mapper : null;
+    }
+
     reset() {
         this.ram.fill(0);
+        if (this.cartridge) this.cartridge.reset();
     }
 
     // Read 8-bit value from memory
@@ -27,17 +58,17 @@ export default class Memory {
         }
         else if (addr < 0x4000) {
             // PPU registers (mirrored every 8 bytes)
-            return this.ppu.readRegister(addr % 8);
+            return this.ppu.readRegister(0x2000 + (addr % 8));
         }
         else if (addr === 0x4016 || addr === 0x4017) {
             // Controller input
-            return this.controllers.read(addr);
+            return this.controllers ? this.controllers.read(addr - 0x4016) : 0;
         }
         else if (addr >= 0x4000 && addr < 0x4020) {
             // APU and I/O registers
-            return this.apu.readRegister(addr);
+            return this.apu ? this.apu.read(addr) : 0;
         }
-        else if (addr >= 0x4020) {
+        else if (addr >= 0x4020 && this.cartridge) {
             // Cartridge space: PRG-ROM, PRG-RAM, mapper-controlled
             return this.cartridge.cpuRead(addr);
         }
@@ -45,6 +76,22 @@ export default class Memory {
         return 0; // open bus (default)
     }
 
+    // Side-effect-free read for debuggers and trace logs. I/O registers and
+    // mapper registers at $4020-$5FFF are not touched (reading them clears
+    // latches, e.g. the MMC5 IRQ status), so they report $FF.
+    peek(addr) {
+        addr &= 0xFFFF;
+
+        if (addr < 0x2000) {
+            return this.ram[addr % 0x0800];
+        }
+        else if (addr >= 0x6000 && this.cartridge) {
+            return this.cartridge.cpuRead(addr);
+        }
+
+        return 0xFF;
+    }
+
     // Write 8-bit value to memory
     write(addr, value) {
         addr &= 0xFFFF;
@@ -56,20 +103,43 @@ export default class Memory {
         }
         else if (addr < 0x4000) {
             // PPU registers (mirrored)
-            this.ppu.writeRegister(addr % 8, value);
+            this.ppu.writeRegister(0x2000 + (addr % 8), value);
+        }
+        else if (addr === 0x4014) {
+            this.oamDMA(value);
         }
         else if (addr >= 0x4000 && addr < 0x4020) {
-            if (addr === 0x4016 || addr === 0x4017) {
+            if (addr === 0x4016) {
                 // Controller strobe
-                this.controllers.write(addr, value);
-            } else {
-                // APU and I/O
-                this.apu.writeRegister(addr, value);
+                if (this.controllers) this.controllers.write(0, value);
+            } else if (this.apu) {
+                // APU and I/O ($4017 is the APU frame counter on writes)
+                this.apu.write(addr, value);
             }
         }
-        else if (addr >= 0x4020) {
+        else if (addr >= 0x4020 && this.cartridge) {
             // Cartridge / mapper
             this.cartridge.cpuWrite(addr, value);
         }
     }
+
+    // DMC sample fetch. The DMA halts the CPU for 4 cycles (3 when it lands
+    // on a write cycle, fewer inside OAM DMA); the common case is modelled.
+    // The extra re-reads of a halted $4016/$4017 access are not.
+    dmcRead(addr) {
+        if (this.cpu) this.cpu.stall += 4;
+        return this.read(addr);
+    }
+
+    // OAM DMA: copy a 256-byte CPU page into sprite memory. The CPU is held
+    // for 513 cycles, plus one to align when starting on an odd cycle.
+    oamDMA(page) {
+        const base = page << 8;
+        const data = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            data[i] = this.read(base + i);
+        }
+        this.ppu.performDMA(data);
+        if (this.cpu) this.cpu.stall += 513 + (this.cpu.cycles & 1);
+    }
 }
@@ -1,10 +1,80 @@
 // ppu.js - NES PPU with DMA & CHR-ROM integration
+//
+// No DOM dependencies: the frame is rendered into a Uint32Array (RGBA8888,
+// 256*240) returned by getFramebuffer(). Browser hosts can attachCanvas() to
+// have each frame blitted as well.
+
+// 2C02 master palette (64 colors, RGB)
+export const NES_PALETTE = [
+    [124,124,124], [0,0,252], [0,0,188], [68,40,188], [148,0,132], [168,0,32], [168,16,0], [136,20,0],
+    [80,48,0], [0,120,0], [0,104,0], [0,88,0], [0,64,88], [0,0,0], [0,0,0], [0,0,0],
+    [188,188,188], [0,120,248], [0,88,248], [104,68,252], [216,0,204], [228,0,88], [248,56,0], [228,92,16],
+    [172,124,0], [0,184,0], [0,168,0], [0,168,68], [0,136,136], [0,0,0], [0,0,0], [0,0,0],
+    [248,248,248], [60,188,252], [104,136,252], [152,120,248], [248,120,248], [248,88,152], [248,120,88], [252,160,68],
+    [248,184,0], [184,248,24], [88,216,84], [88,248,152], [0,232,216], [120,120,120], [0,0,0], [0,0,0],
+    [252,252,252], [164,228,252], [184,184,248], [216,184,248], [248,184,248], [248,164,192], [240,208,176], [252,224,168],
+    [248,216,120], [216,248,120], [184,248,184], [184,248,216], [0,252,252], [248,216,248], [0,0,0], [0,0,0],
+];
+
+// Pack an [r, g, b] triple as a little-endian RGBA8888 pixel
+const packRGBA = ([r, g, b]) => (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+
+// $2001 bits 5-7 emphasize red, green and blue on the 2C02 by darkening the
+// other two channels. Entries $xE/$xF are black and stay black.
+const EMPHASIS_ATTENUATION = 0.746;
+
+/**
+ * Expand a 64-color master palette to all 8 emphasis combinations:
+ * entry (emphasis << 6) | color, packed as RGBA8888.
+ */
+export function buildColorTable(master) {
+    const table = new Uint32Array(512);
+    for(let emphasis = 0; emphasis < 8; emphasis++){
+        for(let color = 0; color < 64; color++){
+            let [r, g, b] = master[color];
+            if(emphasis && (color & 0x0E) !== 0x0E){
+                if(!(emphasis & 1)) r *= EMPHASIS_ATTENUATION;
+                if(!(emphasis & 2)) g *= EMPHASIS_ATTENUATION;
+                if(!(emphasis & 4)) b *= EMPHASIS_ATTENUATION;
+                if(emphasis === 7){
+                    r *= EMPHASIS_ATTENUATION;
+                    g *= EMPHASIS_ATTENUATION;
+                    b *= EMPHASIS_ATTENUATION;
+                }
+            }
+            table[(emphasis << 6) | color] = packRGBA([Math.round(r), Math.round(g), Math.round(b)]);
+        }
+    }
+    return table;
+}
+
+// ~600ms at 60 frames per second
+const OPEN_BUS_DECAY_FRAMES = 36;
+
+// Palette RAM index: $3F10/$3F14/$3F18/$3F1C mirror $3F00/$3F04/$3F08/$3F0C
+const paletteIndex = (addr) => ((addr & 0x13) === 0x10 ? addr & 0x0F : addr & 0x1F);
+
+// Mirror a byte left-to-right (horizontally flipped sprite rows)
+const reverseBits = (b) => {
+    b = ((b & 0xF0) >> 4) | ((b & 0x0F) << 4);
+    b = ((b & 0xCC) >> 2) | ((b & 0x33) << 2);
+    return ((b & 0xAA) >> 1) | ((b & 0x55) << 1);
+};
+
+// Frame timing per region: lines per frame, the line VBlank starts on, and
+// whether odd frames drop a dot. Dendy clones have PAL's 312 lines but hold
+// VBlank back 50 lines, so NTSC games keep their usual NMI-to-render time.
+const REGION_TIMING = {
+    NTSC: { scanlines: 262, vblankLine: 241, oddFrameSkip: true },
+    PAL: { scanlines: 312, vblankLine: 241, oddFrameSkip: false },
+    DENDY: { scanlines: 312, vblankLine: 291, oddFrameSkip: false },
+};
 
 class PPU {
-    constructor(cpuMemory, canvasContext, chrROM, mirrorType = "horizontal") {
-        this.cpuMemory = cpuMemory; // Reference to CPU memory for DMA
-        this.ctx = canvasContext;
-        this.chrROM = chrROM;       // CHR-ROM data from ROM
+    constructor() {
+        this.bus = null;            // Memory; the cartridge supplies CHR data and mirroring
+        this.ctx = null;            // optional canvas 2D context
+        this.imageData = null;
         this.screenWidth = 256;
         this.screenHeight = 240;
 
@@ -13,27 +83,24 @@ class PPU {
         this.mask = 0;
         this.status = 0;
         this.oamAddr = 0;
-        this.scrollX = 0;
-        this.scrollY = 0;
-        this.addr = 0;
-        this.data = 0;
+        this.readBuffer = 0;        // PPUDATA reads lag one access behind
 
-        // VRAM & OAM
-        this.vram = new Uint8Array(0x4000);  
+        // Nametable RAM (4KB so four-screen carts work), palette RAM & OAM
+        this.vram = new Uint8Array(0x1000);
+        this.paletteRAM = new Uint8Array(32);
         this.oam = new Uint8Array(256);
 
         // Framebuffer
-        this.frameBuffer = this.ctx.createImageData(this.screenWidth, this.screenHeight);
+        this.frameBuffer = new Uint32Array(this.screenWidth * this.screenHeight);
 
         // Timing
         this.cycle = 0;
         this.scanline = 0;
+        this.frame = 0;
+        this.setRegion('NTSC');
 
-        // Mirroring
-        this.mirrorType = mirrorType;
-
-        // NES palette (64 colors)
-        this.palette = [ /* 64-color array */ ];
+        // NES palette: 64 colors x 8 emphasis combinations, packed RGBA
+        this.palette = buildColorTable(NES_PALETTE);
 
         // Scroll registers
         this.fineX = 0;
@@ -41,45 +108,201 @@ class PPU {
         this.tempAddr = 0;
         this.vramAddr = 0;
 
+        // Background pipeline: two 16-bit pattern shifters, two attribute
+        // shifters, and the latches filled by the 8-dot fetch cycle
+        this.bgShiftLo = 0;
+        this.bgShiftHi = 0;
+        this.bgAttrShiftLo = 0;
+        this.bgAttrShiftHi = 0;
+        this.bgNextTile = 0;
+        this.bgNextAttr = 0;
+        this.bgNextLo = 0;
+        this.bgNextHi = 0;
+        this.oddFrame = false;
+
+        // Sprites for the next scanline: secondary OAM filled at dot 257, then
+        // pattern bytes (already flipped) and X positions for the output unit.
+        // Hardware keeps 8; with noSpriteLimit all 64 can be kept so games
+        // that multiplex sprites don't flicker. The overflow flag is computed
+        // as on hardware either way.
+        this.noSpriteLimit = false;
+        this.secondaryOAM = new Uint8Array(64 * 4);
+        this.spriteCount = 0;
+        this.spriteZeroLoaded = false;
+        this.spriteX = new Uint8Array(64);
+        this.spriteAttr = new Uint8Array(64);
+        this.spriteLo = new Uint8Array(64);
+        this.spriteHi = new Uint8Array(64);
+
+        this.sprite0Hit = false;
+
+        // I/O latch ("open bus"): the last value put on the CPU-PPU data
+        // bus. Write-only registers read it back. Each bit decays to 0 about
+        // 600ms after it was last driven, tracked per bit in frames.
+        this.openBus = 0;
+        this.openBusRefreshed = new Array(8).fill(0);
+    }
+
+    connectBus(bus) {
+        this.bus = bus;
+    }
+
+    // Browser hosts: blit each finished frame into this canvas context
+    attachCanvas(canvasContext) {
+        this.ctx = canvasContext;
+        this.imageData = canvasContext ? canvasContext.createImageData(this.screenWidth, this.screenHeight) : null;
+    }
+
+    // 'NTSC', 'PAL' or 'DENDY'; anything else is NTSC
+    setRegion(region) {
+        const timing = REGION_TIMING[String(region).toUpperCase()] || REGION_TIMING.NTSC;
+        this.scanlines = timing.scanlines;
+        this.vblankLine = timing.vblankLine;
+        this.preRenderLine = timing.scanlines - 1;
+        this.oddFrameSkip = timing.oddFrameSkip;
+    }
+
+    reset() {
+        this.ctrl = 0;
+        this.mask = 0;
+        this.status = 0;
+        this.oamAddr = 0;
+        this.readBuffer = 0;        // PPUDATA reads lag one access behind
+        this.fineX = 0;
+        this.writeToggle = 0;
+        this.tempAddr = 0;
+        this.vramAddr = 0;
+        this.cycle = 0;
+        this.scanline = 0;
+        this.frame = 0;
+        this.bgShiftLo = 0;
+        this.bgShiftHi = 0;
+        this.bgAttrShiftLo = 0;
+        this.bgAttrShiftHi = 0;
+        this.oddFrame = false;
+        this.spriteCount = 0;
+        this.spriteZeroLoaded = false;
         this.sprite0Hit = false;
+        this.openBus = 0;
+        this.openBusRefreshed.fill(0);
     }
 
-    // DMA transfer: copy 256 bytes from CPU memory page to OAM
-    performDMA(page) {
-        const base = page << 8;
+    get cartridge() {
+        return this.bus ? this.bus.cartridge : null;
+    }
+
+    // The PPU pulls /NMI low while VBlank is set and NMI output is enabled
+    get nmiLine() {
+        return (this.status & 0x80) !== 0 && (this.ctrl & 0x80) !== 0;
+    }
+
+    getFramebuffer() {
+        return this.frameBuffer;
+    }
+
+    // DMA transfer: the bus hands over the 256 bytes read from the CPU page
+    performDMA(data) {
         for(let i=0; i<256; i++){
-            this.oam[i] = this.cpuMemory[base + i];
+            this.oam[(this.oamAddr + i) & 0xFF] = data[i];
+        }
+    }
+
+    // PPU address space: pattern tables (cartridge), nametables, palette RAM
+    ppuRead(addr) {
+        addr &= 0x3FFF;
+        if(addr < 0x2000) return this.cartridge ? this.cartridge.ppuRead(addr) : 0;
+        if(addr < 0x3F00){
+            const index = this.mirrorAddress(addr);
+            return this.cartridge ? this.cartridge.ntRead(addr, this.vram, index) : this.vram[index];
+        }
+        return this.paletteRAM[paletteIndex(addr)];
+    }
+
+    ppuWrite(addr, value) {
+        addr &= 0x3FFF;
+        if(addr < 0x2000) { if(this.cartridge) this.cartridge.ppuWrite(addr, value); }
+        else if(addr < 0x3F00){
+            const index = this.mirrorAddress(addr);
+            if(this.cartridge) this.cartridge.ntWrite(addr, value, this.vram, index);
+            else this.vram[index] = value;
+        }
+        else this.paletteRAM[paletteIndex(addr)] = value & 0x3F; // 6-bit cells
+    }
+
+    // Drive the bits in `bits` with `value`; the others keep decaying
+    refreshOpenBus(value, bits = 0xFF) {
+        this.openBus = (this.openBus & ~bits) | (value & bits);
+        for(let i = 0; i < 8; i++){
+            if(bits & (1 << i)) this.openBusRefreshed[i] = this.frame;
+        }
+        return this.openBus;
+    }
+
+    decayOpenBus() {
+        for(let i = 0; i < 8; i++){
+            if(this.frame - this.openBusRefreshed[i] >= OPEN_BUS_DECAY_FRAMES) this.openBus &= ~(1 << i);
+        }
+    }
+
+    // After a $2007 access: +1/+32, except while rendering, where the PPU is
+    // already stepping v and the access bumps coarse X and Y together
+    advanceVramAddr() {
+        if(this.renderingEnabled && (this.scanline < 240 || this.scanline === this.preRenderLine)){
+            this.incrementX();
+            this.incrementY();
+        } else {
+            this.vramAddr = (this.vramAddr + ((this.ctrl & 0x04) ? 32 : 1)) & 0x7FFF;
         }
     }
 
     readRegister(addr) {
+        this.decayOpenBus();
         switch(addr) {
-            case 0x2002:
-                const value = this.status;
+            case 0x2002: {
+                // Only the top 3 bits are driven; the rest is open bus
+                const value = this.refreshOpenBus(this.status, 0xE0);
                 this.status &= 0x7F; // clear VBlank
                 this.writeToggle = 0;
                 return value;
-            case 0x2007:
-                let data;
-                const patternTableAddr = this.vramAddr & 0x1FFF;
-                if(patternTableAddr < 0x2000) {
-                    // Fetch from CHR-ROM
-                    data = this.chrROM[patternTableAddr];
+            }
+            case 0x2004: {
+                // Secondary OAM is being cleared to $FF during dots 1-64
+                if(this.renderingEnabled && this.scanline < 240 && this.cycle >= 1 && this.cycle <= 64){
+                    return this.refreshOpenBus(0xFF);
+                }
+                let value = this.oam[this.oamAddr];
+                if((this.oamAddr & 3) === 2) value &= 0xE3; // attribute bits 2-4 don't exist
+                return this.refreshOpenBus(value);
+            }
+            case 0x2007: {
+                let value;
+                const vaddr = this.vramAddr & 0x3FFF;
+                if(vaddr >= 0x3F00){
+                    // Palette reads are immediate (6 bits, top 2 from open bus);
+                    // the buffer is filled from the nametable underneath
+                    value = this.refreshOpenBus(this.ppuRead(vaddr), 0x3F);
+                    this.readBuffer = this.ppuRead(vaddr - 0x1000);
                 } else {
-                    data = this.vram[this.vramAddr & 0x3FFF];
+                    value = this.refreshOpenBus(this.readBuffer);
+                    this.readBuffer = this.ppuRead(vaddr);
                 }
-                this.vramAddr += (this.ctrl & 0x04) ? 32 : 1;
-                return data;
-            default: return 0;
+                this.advanceVramAddr();
+                return value;
+            }
+            default: return this.openBus; // write-only registers
         }
     }
 
     writeRegister(addr, value) {
+        this.refreshOpenBus(value);
         switch(addr) {
-            case 0x2000: this.ctrl = value; break;
+            case 0x2000:
+                this.ctrl = value;
+                this.tempAddr = (this.tempAddr & 0x73FF) | ((value & 0x03) << 10);
+                break;
             case 0x2001: this.mask = value; break;
             case 0x2003: this.oamAddr = value; break;
-            case 0x2004: this.oam[this.oamAddr++] = value; break;
+            case 0x2004: this.oam[this.oamAddr] = value; this.oamAddr = (this.oamAddr + 1) & 0xFF; break;
             case 0x2005:
                 if(this.writeToggle === 0){
                     this.fineX = value & 7;
@@ -92,7 +315,7 @@ class PPU {
                 break;
             case 0x2006:
                 if(this.writeToggle === 0){
-                    this.tempAddr = (this.tempAddr & 0x00FF) | (value << 8);
+                    this.tempAddr = (this.tempAddr & 0x00FF) | ((value & 0x3F) << 8);
                     this.writeToggle = 1;
                 } else {
                     this.tempAddr = (this.tempAddr & 0xFF00) | value;
@@ -101,137 +324,316 @@ class PPU {
                 }
                 break;
             case 0x2007:
-                this.vram[this.vramAddr & 0x3FFF] = value;
-                this.vramAddr += (this.ctrl & 0x04) ? 32 : 1;
-                break;
-            case 0x4014: // DMA register
-                this.performDMA(value);
+                this.ppuWrite(this.vramAddr, value);
+                this.advanceVramAddr();
                 break;
         }
     }
 
     drawPixel(x, y, color) {
         if(x < 0 || x >= 256 || y < 0 || y >= 240) return;
-        const idx = (y * this.screenWidth + x) * 4;
-        this.frameBuffer.data[idx] = color[0];
-        this.frameBuffer.data[idx + 1] = color[1];
-        this.frameBuffer.data[idx + 2] = color[2];
-        this.frameBuffer.data[idx + 3] = 255;
+        this.frameBuffer[y * this.screenWidth + x] = color;
     }
 
+    // Palette RAM index (0-31) -> packed RGBA
+    // applying $2001 grayscale (bit 0) and color emphasis (bits 5-7)
+    paletteColor(index) {
+        let color = this.paletteRAM[paletteIndex(index)];
+        if(this.mask & 0x01) color &= 0x30;
+        return this.palette[((this.mask & 0xE0) << 1) | color];
+    }
+
+    // Nametable address -> offset into vram, following the cartridge's mirroring.
+    // Mappers with their own nametable control get the address too (ntRead).
     mirrorAddress(addr) {
-        const mirrored = addr & 0x2FFF;
-        const vramIndex = mirrored - 0x2000;
-        const table = Math.floor(vramIndex / 0x400);
-        if(this.mirrorType === "horizontal") {
-            return (table & 1) * 0x400 + (vramIndex & 0x3FF);
+        const vramIndex = (addr - 0x2000) & 0x0FFF;
+        const table = vramIndex >> 10;
+        const offset = vramIndex & 0x3FF;
+        switch(this.cartridge ? this.cartridge.mirror : 'horizontal') {
+            case 'vertical': return (table & 1) * 0x400 + offset;
+            case 'single0': return offset;
+            case 'single1': return 0x400 + offset;
+            case 'four': return vramIndex;
+            default: return (table >> 1) * 0x400 + offset; // horizontal
+        }
+    }
+
+    get renderingEnabled() {
+        return (this.mask & 0x18) !== 0;
+    }
+
+    // ─── Loopy register updates ──────────────────────────────────────────────
+    // v/t layout: yyy NN YYYYY XXXXX (fine Y, nametable, coarse Y, coarse X)
+
+    incrementX() {
+        if((this.vramAddr & 0x001F) === 31){
+            this.vramAddr &= ~0x001F;
+            this.vramAddr ^= 0x0400; // next horizontal nametable
         } else {
-            return (table & 2 ? 0x400 : 0) + (vramIndex & 0x3FF);
-        }
-    }
-
-    getAttributePalette(tileX, tileY) {
-        const attrAddr = 0x23C0 + (Math.floor(tileY / 4) * 8) + Math.floor(tileX / 4);
-        const attrByte = this.vram[this.mirrorAddress(attrAddr)];
-        const shift = ((tileY % 4 >= 2 ? 4 : 0) + (tileX % 4 >= 2 ? 2 : 0));
-        return (attrByte >> shift) & 0x03;
-    }
-
-    renderBackground() {
-        for(let tileY=0; tileY<30; tileY++){
-            for(let tileX=0; tileX<32; tileX++){
-                const baseAddr = 0x2000 + tileY*32 + tileX;
-                const mirroredAddr = this.mirrorAddress(baseAddr);
-                const tileIndex = this.vram[mirroredAddr];
-                const paletteHigh = this.getAttributePalette(tileX, tileY) << 2;
-                const patternTable = (this.ctrl & 0x10) ? 0x1000 : 0x0000;
-
-                for(let row=0; row<8; row++){
-                    const low = this.chrROM[patternTable + tileIndex*16 + row];
-                    const high = this.chrROM[patternTable + tileIndex*16 + row + 8];
-                    for(let col=0; col<8; col++){
-                        const bit0 = (low >> (7-col)) & 1;
-                        const bit1 = (high >> (7-col)) & 1;
-                        let colorIndex = (bit1 << 1) | bit0;
-                        if(colorIndex === 0) continue;
-                        colorIndex += paletteHigh + 1;
-                        const color = this.palette[colorIndex];
-                        const x = (tileX*8 + col - this.fineX) & 0xFF;
-                        const y = (tileY*8 + row - (this.scrollY & 7)) & 0xFF;
-                        this.drawPixel(x, y, color);
-                    }
-                }
+            this.vramAddr++;
+        }
+    }
+
+    incrementY() {
+        if((this.vramAddr & 0x7000) !== 0x7000){
+            this.vramAddr += 0x1000; // fine Y
+            return;
+        }
+        this.vramAddr &= ~0x7000;
+        let coarseY = (this.vramAddr & 0x03E0) >> 5;
+        if(coarseY === 29){
+            coarseY = 0;
+            this.vramAddr ^= 0x0800; // next vertical nametable
+        } else if(coarseY === 31){
+            coarseY = 0; // attribute rows: wrap without switching nametable
+        } else {
+            coarseY++;
+        }
+        this.vramAddr = (this.vramAddr & ~0x03E0) | (coarseY << 5);
+    }
+
+    copyX() {
+        this.vramAddr = (this.vramAddr & ~0x041F) | (this.tempAddr & 0x041F);
+    }
+
+    copyY() {
+        this.vramAddr = (this.vramAddr & ~0x7BE0) | (this.tempAddr & 0x7BE0);
+    }
+
+    // ─── Background pipeline ─────────────────────────────────────────────────
+
+    shiftBackground() {
+        this.bgShiftLo = (this.bgShiftLo << 1) & 0xFFFF;
+        this.bgShiftHi = (this.bgShiftHi << 1) & 0xFFFF;
+        this.bgAttrShiftLo = (this.bgAttrShiftLo << 1) & 0xFFFF;
+        this.bgAttrShiftHi = (this.bgAttrShiftHi << 1) & 0xFFFF;
+    }
+
+    // Move the fetched tile into the low byte of the shifters
+    reloadBackground() {
+        this.bgShiftLo = (this.bgShiftLo & 0xFF00) | this.bgNextLo;
+        this.bgShiftHi = (this.bgShiftHi & 0xFF00) | this.bgNextHi;
+        this.bgAttrShiftLo = (this.bgAttrShiftLo & 0xFF00) | ((this.bgNextAttr & 1) ? 0xFF : 0x00);
+        this.bgAttrShiftHi = (this.bgAttrShiftHi & 0xFF00) | ((this.bgNextAttr & 2) ? 0xFF : 0x00);
+    }
+
+    // One step of the 8-dot fetch cycle: NT, AT, pattern low, pattern high
+    fetchBackground() {
+        const v = this.vramAddr;
+        switch((this.cycle - 1) & 7){
+            case 0:
+                this.reloadBackground();
+                // The first tile of the next line is fetched at its dot 1, after
+                // the unused fetches at 337 and 339 (the MMC5 counts on the order)
+                if(this.cycle !== 337) this.bgNextTile = this.ppuRead(0x2000 | (v & 0x0FFF));
+                break;
+            case 2: {
+                const attr = this.ppuRead(0x23C0 | (v & 0x0C00) | ((v >> 4) & 0x38) | ((v >> 2) & 0x07));
+                const shift = ((v >> 4) & 0x04) | (v & 0x02);
+                this.bgNextAttr = (attr >> shift) & 0x03;
+                break;
             }
+            case 4:
+                this.bgNextLo = this.ppuRead(((this.ctrl & 0x10) << 8) + this.bgNextTile * 16 + ((v >> 12) & 7));
+                break;
+            case 6:
+                this.bgNextHi = this.ppuRead(((this.ctrl & 0x10) << 8) + this.bgNextTile * 16 + ((v >> 12) & 7) + 8);
+                break;
+            case 7:
+                this.incrementX();
+                break;
         }
     }
 
-    renderSprites() {
-        const spriteSize = (this.ctrl & 0x20) ? 16 : 8;
-        this.sprite0Hit = false;
+    // ─── Sprite pipeline ─────────────────────────────────────────────────────
 
-        for(let i=0; i<64; i++){
-            const yPos = this.oam[i*4];
-            const tileIndex = this.oam[i*4+1];
-            const attr = this.oam[i*4+2];
-            const xPos = this.oam[i*4+3];
-
-            const paletteHigh = (attr & 0x03) << 2;
-            const flipH = (attr & 0x40) !== 0;
-            const flipV = (attr & 0x80) !== 0;
-            const priority = (attr & 0x20) === 0;
-
-            const patternTable = spriteSize === 16 ? (tileIndex & 1 ? 0x1000 : 0x0000) : ((this.ctrl & 0x08) ? 0x1000 : 0x0000);
-
-            for(let row=0; row<spriteSize; row++){
-                const rowIdx = flipV ? spriteSize - 1 - row : row;
-                const low = this.chrROM[patternTable + tileIndex*16 + rowIdx];
-                const high = this.chrROM[patternTable + tileIndex*16 + rowIdx + 8];
-
-                for(let col=0; col<8; col++){
-                    const colIdx = flipH ? 7-col : col;
-                    const bit0 = (low >> (7-colIdx)) & 1;
-                    const bit1 = (high >> (7-colIdx)) & 1;
-                    let colorIndex = (bit1 << 1) | bit0;
-                    if(colorIndex === 0) continue;
-
-                    colorIndex += paletteHigh + 0x11;
-                    const color = this.palette[colorIndex];
-                    const px = xPos + col;
-                    const py = yPos + row;
-
-                    if(i === 0 && colorIndex !== 0 && this.frameBuffer.data[(py*256+px)*4+3] !== 0){
-                        this.status |= 0x40;
-                        this.sprite0Hit = true;
-                    }
-
-                    if(priority || this.frameBuffer.data[(py*256+px)*4+3] === 0){
-                        this.drawPixel(px, py, color);
-                    }
-                }
+    // Fill secondary OAM with the sprites on the next scanline. Once eight are
+    // found the hardware keeps scanning for the overflow flag, but increments
+    // the byte index along with the sprite index, so it compares tile, attribute
+    // and X bytes as if they were Y: false positives and misses included.
+    evaluateSprites() {
+        const height = (this.ctrl & 0x20) ? 16 : 8;
+        const inRange = (y) => this.scanline - y >= 0 && this.scanline - y < height;
+        const copy = (n) => {
+            if(n === 0) this.spriteZeroLoaded = true;
+            this.secondaryOAM.set(this.oam.subarray(n * 4, n * 4 + 4), this.spriteCount * 4);
+            this.spriteCount++;
+        };
+
+        this.spriteCount = 0;
+        this.spriteZeroLoaded = false;
+        let n = 0;
+        for(; n < 64 && this.spriteCount < 8; n++){
+            if(inRange(this.oam[n * 4])) copy(n);
+        }
+        const rest = n;
+
+        for(let m = 0; n < 64; n++){
+            if(inRange(this.oam[n * 4 + m])){
+                this.status |= 0x20; // sprite overflow
+                break;
+            }
+            m = (m + 1) & 3; // the bug: m should stay on the Y byte
+        }
+
+        if(this.noSpriteLimit){
+            for(n = rest; n < 64; n++){
+                if(inRange(this.oam[n * 4])) copy(n);
             }
         }
     }
 
+    // Dots 257-320: pattern fetches for the sprites found by evaluateSprites.
+    // Empty slots still fetch tile $FF, which mappers watching A12 rely on.
+    fetchSprites() {
+        const height = (this.ctrl & 0x20) ? 16 : 8;
+        const slots = Math.max(8, this.spriteCount);
+        for(let i = 0; i < slots; i++){
+            const used = i < this.spriteCount;
+            const y = used ? this.secondaryOAM[i * 4] : 0xFF;
+            const tile = used ? this.secondaryOAM[i * 4 + 1] : 0xFF;
+            const attr = used ? this.secondaryOAM[i * 4 + 2] : 0xFF;
+            let row = used ? this.scanline - y : 0;
+            if(attr & 0x80) row = height - 1 - row; // vertical flip
+
+            let addr;
+            if(height === 16){
+                addr = ((tile & 1) << 12) + ((tile & 0xFE) + (row >> 3)) * 16 + (row & 7);
+            } else {
+                addr = ((this.ctrl & 0x08) << 9) + tile * 16 + row;
+            }
+            let lo = this.ppuRead(addr);
+            let hi = this.ppuRead(addr + 8);
+            if(!used) continue;
+
+            if(attr & 0x40){ // horizontal flip
+                lo = reverseBits(lo);
+                hi = reverseBits(hi);
+            }
+            this.spriteX[i] = this.secondaryOAM[i * 4 + 3];
+            this.spriteAttr[i] = attr;
+            this.spriteLo[i] = lo;
+            this.spriteHi[i] = hi;
+        }
+    }
+
+    // ─── Pixel output ────────────────────────────────────────────────────────
+
+    // Multiplex background and sprite pixels for the current dot (visible scanlines)
+    renderPixel() {
+        const x = this.cycle - 1;
+        let bgPixel = 0;
+        let bgPalette = 0;
+        if((this.mask & 0x08) && (x >= 8 || (this.mask & 0x02))){
+            const bit = 0x8000 >> this.fineX;
+            bgPixel = ((this.bgShiftHi & bit) ? 2 : 0) | ((this.bgShiftLo & bit) ? 1 : 0);
+            bgPalette = ((this.bgAttrShiftHi & bit) ? 2 : 0) | ((this.bgAttrShiftLo & bit) ? 1 : 0);
+        }
+
+        // First opaque sprite in OAM order wins against the other sprites
+        let spritePixel = 0;
+        let spriteAttr = 0;
+        let spriteZero = false;
+        if((this.mask & 0x10) && (x >= 8 || (this.mask & 0x04))){
+            for(let i = 0; i < this.spriteCount; i++){
+                const offset = x - this.spriteX[i];
+                if(offset < 0 || offset > 7) continue;
+                const bit = 7 - offset;
+                const pixel = (((this.spriteHi[i] >> bit) & 1) << 1) | ((this.spriteLo[i] >> bit) & 1);
+                if(pixel === 0) continue;
+                spritePixel = pixel;
+                spriteAttr = this.spriteAttr[i];
+                spriteZero = i === 0 && this.spriteZeroLoaded;
+                break;
+            }
+        }
+
+        // Sprite 0 hit: both pixels opaque, never at x=255
+        if(spriteZero && bgPixel && x !== 255){
+            this.status |= 0x40;
+            this.sprite0Hit = true;
+        }
+
+        // Pixels with value 0 show the universal background color at $3F00.
+        // With rendering off and v pointing into palette RAM, the PPU shows
+        // that entry instead.
+        let index = 0;
+        if(!this.renderingEnabled && (this.vramAddr & 0x3F00) === 0x3F00){
+            index = this.vramAddr & 0x1F;
+        } else if(spritePixel && (!bgPixel || !(spriteAttr & 0x20))){
+            index = 0x10 | ((spriteAttr & 3) << 2) | spritePixel;
+        } else if(bgPixel){
+            index = (bgPalette << 2) | bgPixel;
+        }
+        this.frameBuffer[this.scanline * this.screenWidth + x] = this.paletteColor(index);
+    }
+
     renderFrame() {
-        this.renderBackground();
-        this.renderSprites();
-        this.ctx.putImageData(this.frameBuffer, 0, 0);
+        if(this.ctx){
+            new Uint32Array(this.imageData.data.buffer).set(this.frameBuffer);
+            this.ctx.putImageData(this.imageData, 0, 0);
+        }
     }
 
+    // One PPU dot. Returns { newFrame } so the host knows when to present.
     step() {
+        let newFrame = false;
+        const mapper = this.bus && this.bus.mapper;
+        if(mapper) mapper.ppuCycle(this);
+
+        const visible = this.scanline < 240;
+        const preRender = this.scanline === this.preRenderLine;
+        if((visible || preRender) && this.renderingEnabled){
+            if(this.cycle === 1) this.bgNextTile = this.ppuRead(0x2000 | (this.vramAddr & 0x0FFF));
+            if((this.cycle >= 2 && this.cycle <= 257) || (this.cycle >= 321 && this.cycle <= 337)){
+                this.shiftBackground();
+                this.fetchBackground();
+            }
+            if(this.cycle === 256) this.incrementY();
+            if(this.cycle === 257){
+                this.reloadBackground();
+                this.copyX();
+            }
+            if(this.cycle === 337 || this.cycle === 339){
+                this.ppuRead(0x2000 | (this.vramAddr & 0x0FFF)); // unused NT fetches
+            }
+            if(preRender && this.cycle >= 280 && this.cycle <= 304) this.copyY();
+
+            if(this.cycle === 257){
+                if(visible) this.evaluateSprites();
+                else this.spriteCount = 0; // nothing is drawn on scanline 0
+                this.fetchSprites();
+            }
+            if(this.cycle >= 257 && this.cycle <= 320) this.oamAddr = 0;
+        }
+        if(visible && this.cycle >= 1 && this.cycle <= 256) this.renderPixel();
+
+        if(this.cycle === 1){
+            if(this.scanline === this.vblankLine){
+                this.status |= 0x80; // VBlank
+                this.renderFrame();
+                newFrame = true;
+            } else if(preRender){
+                this.status &= 0x1F; // clear VBlank, sprite 0 hit, overflow
+                this.sprite0Hit = false;
+            }
+        }
+
+        // NTSC odd frames are one dot shorter while rendering: dot 340 of the
+        // pre-render line is skipped
+        if(preRender && this.cycle === 339 && this.oddFrame && this.oddFrameSkip && this.renderingEnabled) this.cycle = 340;
+
         this.cycle++;
         if(this.cycle > 340){
             this.cycle = 0;
             this.scanline++;
-            if(this.scanline === 241){
-                this.status |= 0x80;
-                this.renderFrame();
-            }
-            if(this.scanline >= 262){
+            if(this.scanline >= this.scanlines){
                 this.scanline = 0;
-                this.status &= 0x7F;
+                this.frame++;
+                this.oddFrame = !this.oddFrame;
             }
         }
+        return { newFrame };
     }
 }
 
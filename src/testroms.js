@@ -0,0 +1,231 @@
+// testroms.js
+// Accuracy harness: runs the standard test-ROM suites (blargg, kevtris, ...)
+// headlessly and writes a pass/fail matrix as Markdown.
+//
+//   node src/testroms.js path/to/nes-test-roms [--out ACCURACY.md] [--only apu]
+//                        [--hashes screens.json] [--update-hashes]
+//
+// Two ways of reading a result:
+//  • 'status' ROMs follow blargg's $6000 protocol: $6001-$6003 hold DE B0 61
+//    once the test has started, $6000 is $80 while running, $81 when it wants
+//    a reset and the result code (0 = passed) when done; $6004 holds the
+//    zero-terminated message text.
+//  • 'hash' ROMs only draw their result. After a fixed number of frames the
+//    screen's SHA-1 is compared with a known-good hash from --hashes; record
+//    new ones with --update-hashes after checking the screens by eye.
+//
+// Suites are found by directory inside the nes-test-roms checkout; every .nes
+// file in the directory is one row of the matrix. Missing suites are reported
+// as such rather than failing the run.
+
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createEmulator, hashFramebuffer } from './headless.js';
+
+export const SUITES = [
+  { name: 'instr_test-v5', dir: 'instr_test-v5/rom_singles', protocol: 'status', maxFrames: 3600 },
+  { name: 'instr_misc', dir: 'instr_misc/rom_singles', protocol: 'status', maxFrames: 1800 },
+  { name: 'instr_timing', dir: 'instr_timing/rom_singles', protocol: 'status', maxFrames: 3600 },
+  { name: 'cpu_timing_test', dir: 'cpu_timing_test6', protocol: 'hash', frames: 900 },
+  { name: 'cpu_interrupts_v2', dir: 'cpu_interrupts_v2/rom_singles', protocol: 'status', maxFrames: 1800 },
+  { name: 'ppu_vbl_nmi', dir: 'ppu_vbl_nmi/rom_singles', protocol: 'status', maxFrames: 3600 },
+  { name: 'ppu_read_buffer', dir: 'ppu_read_buffer', protocol: 'status', maxFrames: 3600 },
+  { name: 'ppu_open_bus', dir: 'ppu_open_bus', protocol: 'status', maxFrames: 1800 },
+  { name: 'oam_read', dir: 'oam_read', protocol: 'status', maxFrames: 1800 },
+  { name: 'sprite_hit_tests', dir: 'sprite_hit_tests_2005.10.05', protocol: 'hash', frames: 300 },
+  { name: 'sprite_overflow_tests', dir: 'sprite_overflow_tests', protocol: 'hash', frames: 300 },
+  { name: 'blargg_ppu_tests', dir: 'blargg_ppu_tests_2005.09.15b', protocol: 'hash', frames: 300 },
+  { name: 'apu_test', dir: 'apu_test/rom_singles', protocol: 'status', maxFrames: 1800 },
+  { name: 'mmc3_test', dir: 'mmc3_test_2/rom_singles', protocol: 'status', maxFrames: 1800 },
+];
+
+const SIGNATURE = [0xDE, 0xB0, 0x61];
+const RESET_DELAY_FRAMES = 6; // the ROMs ask for at least 100ms before the reset
+
+// Read the zero-terminated message at $6004
+function readStatusText(bus) {
+  let text = '';
+  for (let addr = 0x6004; addr < 0x8000; addr++) {
+    const c = bus.peek(addr);
+    if (c === 0) break;
+    text += String.fromCharCode(c);
+  }
+  return text.trim();
+}
+
+/**
+ * Run one ROM that reports through $6000.
+ * @returns {{ result: 'pass'|'fail'|'timeout'|'halted', code?: number, detail: string }}
+ */
+export function runStatusROM(romBytes, { maxFrames = 3600 } = {}) {
+  const emulator = createEmulator();
+  emulator.loadROM(romBytes);
+  const bus = emulator.bus;
+  let resetAt = -1;
+
+  for (let frame = 0; frame < maxFrames; frame++) {
+    emulator.runFrame();
+    if (emulator.cpu.halted) {
+      return { result: 'halted', detail: `CPU halted: ${emulator.cpu.halted.reason}` };
+    }
+    if (SIGNATURE.some((b, i) => bus.peek(0x6001 + i) !== b)) continue;
+
+    const status = bus.peek(0x6000);
+    if (status === 0x80) continue;
+    if (status === 0x81) {
+      if (resetAt < 0) resetAt = frame + RESET_DELAY_FRAMES;
+      if (frame >= resetAt) {
+        emulator.softReset();
+        resetAt = -1;
+      }
+      continue;
+    }
+    return { result: status === 0 ? 'pass' : 'fail', code: status, detail: readStatusText(bus) };
+  }
+  return { result: 'timeout', detail: `no result after ${maxFrames} frames` };
+}
+
+/**
+ * Run one ROM for a fixed number of frames and compare the screen hash.
+ * @returns {{ result: 'pass'|'fail'|'unknown'|'halted', hash: string, detail: string }}
+ */
+export function runHashROM(romBytes, { frames = 300, expected = null } = {}) {
+  const emulator = createEmulator();
+  emulator.loadROM(romBytes);
+  emulator.runFrames(frames);
+  const hash = hashFramebuffer(emulator.ppu.getFramebuffer());
+  if (emulator.cpu.halted) return { result: 'halted', hash, detail: `CPU halted: ${emulator.cpu.halted.reason}` };
+  if (!expected) return { result: 'unknown', hash, detail: `no reference hash (screen ${hash.slice(0, 12)})` };
+  return { result: hash === expected ? 'pass' : 'fail', hash, detail: hash === expected ? '' : `screen ${hash.slice(0, 12)} differs` };
+}
+
+/**
+ * Run every suite found under `root`.
+ * @param {string} root - nes-test-roms checkout
+ * @param {Object} [opts]
+ * @param {string} [opts.only] - substring filter on suite name or ROM path
+ * @param {Object<string,string>} [opts.hashes] - known-good screen hashes by ROM path
+ * @param {(row:Object)=>void} [opts.onResult] - progress callback
+ * @returns {Object[]} rows: { suite, rom, result, detail, hash? }
+ */
+export function runSuites(root, { only = null, hashes = {}, onResult = null } = {}) {
+  const rows = [];
+  const add = (row) => {
+    rows.push(row);
+    if (onResult) onResult(row);
+  };
+
+  for (const suite of SUITES) {
+    const dir = join(root, suite.dir);
+    if (!existsSync(dir)) {
+      if (!only || suite.name.includes(only)) add({ suite: suite.name, rom: suite.dir, result: 'missing', detail: 'suite not found' });
+      continue;
+    }
+
+    const roms = readdirSync(dir).filter((f) => f.toLowerCase().endsWith('.nes')).sort();
+    for (const file of roms) {
+      const rom = `${suite.dir}/${file}`;
+      if (only && !suite.name.includes(only) && !rom.includes(only)) continue;
+
+      let outcome;
+      try {
+        const bytes = new Uint8Array(readFileSync(join(dir, file)));
+        outcome = suite.protocol === 'status'
+          ? runStatusROM(bytes, suite)
+          : runHashROM(bytes, { frames: suite.frames, expected: hashes[rom] });
+      } catch (err) {
+        outcome = { result: 'error', detail: err.message };
+      }
+      add({ suite: suite.name, rom, ...outcome });
+    }
+  }
+  return rows;
+}
+
+/** Render result rows as a Markdown accuracy matrix. */
+export function formatMatrix(rows) {
+  const mark = { pass: '✅ pass', fail: '❌ fail', timeout: '⏱ timeout', halted: '⛔ halted', error: '⚠ error', unknown: '❔ unknown', missing: '– missing' };
+  const cell = (text) => String(text || '').replace(/\s*\n\s*/g, ' / ').replace(/\|/g, '\\|');
+  const ran = rows.filter((r) => r.result !== 'missing');
+  const passed = ran.filter((r) => r.result === 'pass').length;
+
+  const lines = [
+    '# Accuracy Matrix',
+    '',
+    `Generated by \`node src/testroms.js\` on ${new Date().toISOString().slice(0, 10)}. Do not edit by hand.`,
+    '',
+    `**${passed} / ${ran.length}** test ROMs passed.`,
+    '',
+    '| Suite | ROM | Result | Detail |',
+    '|---|---|---|---|',
+  ];
+  for (const row of rows) {
+    const rom = row.result === 'missing' ? '—' : row.rom.split('/').pop();
+    lines.push(`| ${row.suite} | ${cell(rom)} | ${mark[row.result] || row.result} | ${cell(row.detail)} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Command line
+// ──────────────────────────────────────────────────────────────────────────────
+
+const USAGE = `usage: node src/testroms.js <nes-test-roms dir> [--out ACCURACY.md] [--only name]
+                                  [--hashes screens.json] [--update-hashes]`;
+
+function main(argv) {
+  const args = { root: null, out: null, only: null, hashes: null, updateHashes: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--out': args.out = value(); break;
+      case '--only': args.only = value(); break;
+      case '--hashes': args.hashes = value(); break;
+      case '--update-hashes': args.updateHashes = true; break;
+      case '-h':
+      case '--help': console.log(USAGE); return 2;
+      default:
+        if (arg.startsWith('-') || args.root) throw new Error(`unexpected argument ${arg}`);
+        args.root = arg;
+    }
+  }
+  if (!args.root) {
+    console.log(USAGE);
+    return 2;
+  }
+  if (args.updateHashes && !args.hashes) throw new Error('--update-hashes needs --hashes <file>');
+
+  const hashes = args.hashes && existsSync(args.hashes) ? JSON.parse(readFileSync(args.hashes, 'utf8')) : {};
+  const rows = runSuites(args.root, {
+    only: args.only,
+    hashes,
+    onResult: (row) => console.log(`${row.result.padEnd(8)} ${row.rom}${row.detail ? `  ${row.detail.split('\n')[0]}` : ''}`),
+  });
+
+  if (args.updateHashes) {
+    for (const row of rows) if (row.hash) hashes[row.rom] = row.hash;
+    writeFileSync(args.hashes, JSON.stringify(hashes, null, 2) + '\n');
+  }
+
+  const matrix = formatMatrix(rows);
+  if (args.out) writeFileSync(args.out, matrix);
+  else console.log('\n' + matrix);
+
+  const failed = rows.filter((r) => !['pass', 'missing', 'unknown'].includes(r.result));
+  return failed.length ? 1 : 0;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`testroms: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,259 @@
+// trace.js
+// nestest.log-style CPU trace logger with golden-log comparison.
+//
+// One line is produced per instruction, *before* it executes:
+//
+//   C000  4C F5 C5  JMP $C5F5                       A:00 X:00 Y:00 P:24 SP:FD PPU:  0, 21 CYC:7
+//
+// Operand annotations (" = 5A", " @ 0300") are read through a side-effect-free
+// peek so that tracing never changes emulation.
+
+// Mnemonic and addressing mode for every opcode. A leading '*' marks the
+// unofficial opcodes, matching how nestest.log prints them.
+const OPCODES = [
+  'BRK imp', 'ORA izx', '*JAM imp', '*SLO izx', '*NOP zp', 'ORA zp', 'ASL zp', '*SLO zp', 'PHP imp', 'ORA imm', 'ASL acc', '*ANC imm', '*NOP abs', 'ORA abs', 'ASL abs', '*SLO abs',
+  'BPL rel', 'ORA izy', '*JAM imp', '*SLO izy', '*NOP zpx', 'ORA zpx', 'ASL zpx', '*SLO zpx', 'CLC imp', 'ORA aby', '*NOP imp', '*SLO aby', '*NOP abx', 'ORA abx', 'ASL abx', '*SLO abx',
+  'JSR abs', 'AND izx', '*JAM imp', '*RLA izx', 'BIT zp', 'AND zp', 'ROL zp', '*RLA zp', 'PLP imp', 'AND imm', 'ROL acc', '*ANC imm', 'BIT abs', 'AND abs', 'ROL abs', '*RLA abs',
+  'BMI rel', 'AND izy', '*JAM imp', '*RLA izy', '*NOP zpx', 'AND zpx', 'ROL zpx', '*RLA zpx', 'SEC imp', 'AND aby', '*NOP imp', '*RLA aby', '*NOP abx', 'AND abx', 'ROL abx', '*RLA abx',
+  'RTI imp', 'EOR izx', '*JAM imp', '*SRE izx', '*NOP zp', 'EOR zp', 'LSR zp', '*SRE zp', 'PHA imp', 'EOR imm', 'LSR acc', '*ALR imm', 'JMP abs', 'EOR abs', 'LSR abs', '*SRE abs',
+  'BVC rel', 'EOR izy', '*JAM imp', '*SRE izy', '*NOP zpx', 'EOR zpx', 'LSR zpx', '*SRE zpx', 'CLI imp', 'EOR aby', '*NOP imp', '*SRE aby', '*NOP abx', 'EOR abx', 'LSR abx', '*SRE abx',
+  'RTS imp', 'ADC izx', '*JAM imp', '*RRA izx', '*NOP zp', 'ADC zp', 'ROR zp', '*RRA zp', 'PLA imp', 'ADC imm', 'ROR acc', '*ARR imm', 'JMP ind', 'ADC abs', 'ROR abs', '*RRA abs',
+  'BVS rel', 'ADC izy', '*JAM imp', '*RRA izy', '*NOP zpx', 'ADC zpx', 'ROR zpx', '*RRA zpx', 'SEI imp', 'ADC aby', '*NOP imp', '*RRA aby', '*NOP abx', 'ADC abx', 'ROR abx', '*RRA abx',
+  '*NOP imm', 'STA izx', '*NOP imm', '*SAX izx', 'STY zp', 'STA zp', 'STX zp', '*SAX zp', 'DEY imp', '*NOP imm', 'TXA imp', '*XAA imm', 'STY abs', 'STA abs', 'STX abs', '*SAX abs',
+  'BCC rel', 'STA izy', '*JAM imp', '*SHA izy', 'STY zpx', 'STA zpx', 'STX zpy', '*SAX zpy', 'TYA imp', 'STA aby', 'TXS imp', '*TAS aby', '*SHY abx', 'STA abx', '*SHX aby', '*SHA aby',
+  'LDY imm', 'LDA izx', 'LDX imm', '*LAX izx', 'LDY zp', 'LDA zp', 'LDX zp', '*LAX zp', 'TAY imp', 'LDA imm', 'TAX imp', '*LXA imm', 'LDY abs', 'LDA abs', 'LDX abs', '*LAX abs',
+  'BCS rel', 'LDA izy', '*JAM imp', '*LAX izy', 'LDY zpx', 'LDA zpx', 'LDX zpy', '*LAX zpy', 'CLV imp', 'LDA aby', 'TSX imp', '*LAS aby', 'LDY abx', 'LDA abx', 'LDX aby', '*LAX aby',
+  'CPY imm', 'CMP izx', '*NOP imm', '*DCP izx', 'CPY zp', 'CMP zp', 'DEC zp', '*DCP zp', 'INY imp', 'CMP imm', 'DEX imp', '*AXS imm', 'CPY abs', 'CMP abs', 'DEC abs', '*DCP abs',
+  'BNE rel', 'CMP izy', '*JAM imp', '*DCP izy', '*NOP zpx', 'CMP zpx', 'DEC zpx', '*DCP zpx', 'CLD imp', 'CMP aby', '*NOP imp', '*DCP aby', '*NOP abx', 'CMP abx', 'DEC abx', '*DCP abx',
+  'CPX imm', 'SBC izx', '*NOP imm', '*ISB izx', 'CPX zp', 'SBC zp', 'INC zp', '*ISB zp', 'INX imp', 'SBC imm', 'NOP imp', '*SBC imm', 'CPX abs', 'SBC abs', 'INC abs', '*ISB abs',
+  'BEQ rel', 'SBC izy', '*JAM imp', '*ISB izy', '*NOP zpx', 'SBC zpx', 'INC zpx', '*ISB zpx', 'SED imp', 'SBC aby', '*NOP imp', '*ISB aby', '*NOP abx', 'SBC abx', 'INC abx', '*ISB abx',
+].map((entry) => entry.split(' '));
+
+const OPERAND_BYTES = {
+  imp: 0, acc: 0, imm: 1, zp: 1, zpx: 1, zpy: 1, izx: 1, izy: 1, rel: 1,
+  abs: 2, abx: 2, aby: 2, ind: 2,
+};
+
+// Fields compared by default. PPU position and the disassembly text depend on
+// power-up state and logger conventions, so they are opt-in.
+export const DEFAULT_COMPARE_FIELDS = ['pc', 'a', 'x', 'y', 'p', 'sp', 'cyc'];
+
+const hex = (value, width = 2) => value.toString(16).toUpperCase().padStart(width, '0');
+
+/**
+ * Disassemble the instruction at pc.
+ * @param {number} pc
+ * @param {(addr:number)=>number} peek - side-effect-free memory read
+ * @param {{x:number, y:number}} [regs] - index registers for operand annotations
+ * @returns {{bytes:number[], text:string, unofficial:boolean}}
+ */
+export function disassemble(pc, peek, regs = { x: 0, y: 0 }) {
+  const opcode = peek(pc);
+  const [name, mode] = OPCODES[opcode];
+  const unofficial = name.startsWith('*');
+  const mnemonic = unofficial ? name.slice(1) : name;
+
+  const bytes = [opcode];
+  for (let i = 1; i <= OPERAND_BYTES[mode]; i++) bytes.push(peek((pc + i) & 0xFFFF));
+
+  const op8 = bytes[1];
+  const op16 = bytes[1] | (bytes[2] << 8);
+  const word = (addr, wrapPage) => peek(addr) | (peek(wrapPage ? (addr & 0xFF00) | ((addr + 1) & 0xFF) : (addr + 1) & 0xFFFF) << 8);
+  const value = (addr) => hex(peek(addr));
+
+  let operand;
+  switch (mode) {
+    case 'imp': operand = ''; break;
+    case 'acc': operand = 'A'; break;
+    case 'imm': operand = `#$${hex(op8)}`; break;
+    case 'zp': operand = `$${hex(op8)} = ${value(op8)}`; break;
+    case 'zpx': {
+      const addr = (op8 + regs.x) & 0xFF;
+      operand = `$${hex(op8)},X @ ${hex(addr)} = ${value(addr)}`;
+      break;
+    }
+    case 'zpy': {
+      const addr = (op8 + regs.y) & 0xFF;
+      operand = `$${hex(op8)},Y @ ${hex(addr)} = ${value(addr)}`;
+      break;
+    }
+    case 'abs':
+      operand = (mnemonic === 'JMP' || mnemonic === 'JSR') ? `$${hex(op16, 4)}` : `$${hex(op16, 4)} = ${value(op16)}`;
+      break;
+    case 'abx': {
+      const addr = (op16 + regs.x) & 0xFFFF;
+      operand = `$${hex(op16, 4)},X @ ${hex(addr, 4)} = ${value(addr)}`;
+      break;
+    }
+    case 'aby': {
+      const addr = (op16 + regs.y) & 0xFFFF;
+      operand = `$${hex(op16, 4)},Y @ ${hex(addr, 4)} = ${value(addr)}`;
+      break;
+    }
+    case 'ind':
+      operand = `($${hex(op16, 4)}) = ${hex(word(op16, true), 4)}`;
+      break;
+    case 'izx': {
+      const ptr = (op8 + regs.x) & 0xFF;
+      const addr = peek(ptr) | (peek((ptr + 1) & 0xFF) << 8);
+      operand = `($${hex(op8)},X) @ ${hex(ptr)} = ${hex(addr, 4)} = ${value(addr)}`;
+      break;
+    }
+    case 'izy': {
+      const base = peek(op8) | (peek((op8 + 1) & 0xFF) << 8);
+      const addr = (base + regs.y) & 0xFFFF;
+      operand = `($${hex(op8)}),Y = ${hex(base, 4)} @ ${hex(addr, 4)} = ${value(addr)}`;
+      break;
+    }
+    case 'rel': {
+      const target = (pc + 2 + (op8 < 0x80 ? op8 : op8 - 0x100)) & 0xFFFF;
+      operand = `$${hex(target, 4)}`;
+      break;
+    }
+  }
+
+  return { bytes, text: operand ? `${mnemonic} ${operand}` : mnemonic, unofficial };
+}
+
+/**
+ * Format one nestest.log line.
+ * @param {{pc:number, a:number, x:number, y:number, p:number, sp:number, scanline:number, dot:number, cycles:number}} state
+ * @param {(addr:number)=>number} peek
+ */
+export function formatTraceLine(state, peek) {
+  const { bytes, text, unofficial } = disassemble(state.pc, peek, state);
+  const byteText = bytes.map((b) => hex(b)).join(' ');
+  return `${hex(state.pc, 4)}  ${byteText.padEnd(9)}${unofficial ? '*' : ' '}${text.padEnd(32)}` +
+    `A:${hex(state.a)} X:${hex(state.x)} Y:${hex(state.y)} P:${hex(state.p)} SP:${hex(state.sp)} ` +
+    `PPU:${String(state.scanline).padStart(3)},${String(state.dot).padStart(3)} CYC:${state.cycles}`;
+}
+
+/**
+ * Split a trace line into comparable fields. Fields missing from a line
+ * (older nestest.log variants have no PPU column) come back undefined.
+ */
+export function parseTraceLine(line) {
+  const regs = /A:([0-9A-F]{2}) X:([0-9A-F]{2}) Y:([0-9A-F]{2}) P:([0-9A-F]{2}) SP:([0-9A-F]{2})/i.exec(line);
+  const ppu = /PPU:\s*(-?\d+),\s*(\d+)/.exec(line);
+  const cyc = /CYC:\s*(\d+)/.exec(line);
+  return {
+    pc: line.slice(0, 4).toUpperCase(),
+    bytes: line.slice(6, 15).trim().toUpperCase(),
+    disasm: line.slice(15, 48).trim(),
+    a: regs && regs[1].toUpperCase(),
+    x: regs && regs[2].toUpperCase(),
+    y: regs && regs[3].toUpperCase(),
+    p: regs && regs[4].toUpperCase(),
+    sp: regs && regs[5].toUpperCase(),
+    ppu: ppu ? `${+ppu[1]},${+ppu[2]}` : undefined,
+    cyc: cyc ? cyc[1] : undefined,
+  };
+}
+
+/**
+ * Compare two trace lines. Returns the list of differing field names, empty
+ * when they agree on every field present in both.
+ */
+export function compareTraceLines(expected, actual, fields = DEFAULT_COMPARE_FIELDS) {
+  const e = parseTraceLine(expected);
+  const a = parseTraceLine(actual);
+  return fields.filter((f) => e[f] !== undefined && e[f] !== null && a[f] !== undefined && e[f] !== a[f]);
+}
+
+/**
+ * Collects trace lines from a running emulator and, when given a reference
+ * log, stops at the first divergence.
+ */
+export class TraceLogger {
+  /**
+   * @param {Object} [opts]
+   * @param {string|string[]} [opts.reference] - golden log to compare against
+   * @param {string[]} [opts.fields] - fields to compare (see DEFAULT_COMPARE_FIELDS)
+   * @param {(line:string)=>void} [opts.onLine] - receives every line as it is produced
+   * @param {(divergence:Object)=>void} [opts.onDivergence]
+   * @param {number} [opts.maxLines=100000] - lines kept in memory (oldest dropped)
+   */
+  constructor(opts = {}) {
+    const {
+      reference = null,
+      fields = DEFAULT_COMPARE_FIELDS,
+      onLine = null,
+      onDivergence = null,
+      maxLines = 100000,
+    } = opts;
+
+    this.reference = typeof reference === 'string' ? reference.split(/\r?\n/).filter((l) => l.trim()) : reference;
+    this.fields = fields;
+    this.onLine = onLine;
+    this.onDivergence = onDivergence;
+    this.maxLines = Math.max(1, maxLines | 0);
+
+    this.lines = [];
+    this.count = 0;
+    this.divergence = null;
+  }
+
+  /** True once a divergence was found or the reference log ran out. */
+  get done() {
+    return !!this.divergence || (!!this.reference && this.count >= this.reference.length);
+  }
+
+  /** Log the instruction the CPU is about to execute. */
+  log(cpu, ppu, bus) {
+    if (this.done) return;
+
+    const peek = (addr) => (bus && bus.peek ? bus.peek(addr) : 0xFF);
+    const line = formatTraceLine({
+      pc: cpu.PC, a: cpu.A, x: cpu.X, y: cpu.Y, p: cpu.status, sp: cpu.SP,
+      scanline: ppu ? ppu.scanline : 0, dot: ppu ? ppu.cycle : 0, cycles: cpu.cycles,
+    }, peek);
+    this.push(line);
+  }
+
+  /** Append an already formatted line (used by hosts with their own CPU shape). */
+  push(line) {
+    const index = this.count++;
+    this.lines.push(line);
+    if (this.lines.length > this.maxLines) this.lines.shift();
+    if (this.onLine) this.onLine(line);
+
+    if (this.reference && index < this.reference.length) {
+      const expected = this.reference[index];
+      const fields = compareTraceLines(expected, line, this.fields);
+      if (fields.length) {
+        this.divergence = {
+          line: index + 1,
+          fields,
+          expected,
+          actual: line,
+          previous: index > 0 ? this.reference[index - 1] : null,
+        };
+        if (this.onDivergence) this.onDivergence(this.divergence);
+      }
+    }
+  }
+
+  /** Human-readable summary of the comparison so far. */
+  report() {
+    if (this.divergence) {
+      const d = this.divergence;
+      return [
+        `First divergence at line ${d.line} (${d.fields.join(', ')}):`,
+        d.previous ? `  previous: ${d.previous}` : null,
+        `  expected: ${d.expected}`,
+        `  actual:   ${d.actual}`,
+      ].filter(Boolean).join('\n');
+    }
+    if (this.reference) {
+      return this.count >= this.reference.length
+        ? `All ${this.reference.length} reference lines matched.`
+        : `${this.count} of ${this.reference.length} reference lines matched so far.`;
+    }
+    return `${this.count} lines traced.`;
+  }
+
+  /** The collected lines as a log file body. */
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,38 @@
+// wav.js
+// Minimal RIFF/WAVE encoder: Float32 samples in [-1, 1] -> 16-bit PCM file.
+// Works in both browser and Node (no dependencies).
+
+/**
+ * @param {Float32Array|number[]} samples - interleaved if channels > 1
+ * @param {number} sampleRate
+ * @param {number} [channels=1]
+ * @returns {Uint8Array} complete .wav file
+ */
+export function encodeWAV(samples, sampleRate, channels = 1) {
+  const dataSize = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+  };
+
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);                        // fmt chunk size
+  view.setUint16(20, 1, true);                         // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+  view.setUint16(32, channels * 2, true);              // block align
+  view.setUint16(34, 16, true);                        // bits per sample
+  ascii(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i] < -1 ? -1 : samples[i] > 1 ? 1 : samples[i];
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+  }
+  return bytes;
+}
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BatteryStore } from '../src/batterystore.js';
+
+// Just enough of IndexedDB for BatteryStore: opens fail while `failures` is
+// above zero, and records live in a Map
+function fakeIndexedDB(failures) {
+  const records = new Map();
+  const database = {
+    transaction: () => {
+      const tx = {
+        objectStore: () => ({
+          get: (key) => ({ result: records.get(key) }),
+          put: (value, key) => (records.set(key, value), { result: key }),
+        }),
+      };
+      setTimeout(() => tx.oncomplete());
+      return tx;
+    },
+  };
+  return {
+    opens: 0,
+    open() {
+      this.opens++;
+      const request = {};
+      setTimeout(() => {
+        if (failures-- > 0) {
+          request.error = new Error('open blocked');
+          request.onerror();
+        } else {
+          request.result = database;
+          request.onsuccess();
+        }
+      });
+      return request;
+    },
+  };
+}
+
+test('a failed open is retried by the next request', async () => {
+  const indexedDB = fakeIndexedDB(1);
+  const store = new BatteryStore(indexedDB);
+  await assert.rejects(store.load('3337EC46'), /open blocked/);
+  await store.save('3337EC46', new Uint8Array([1, 2, 3]));
+  assert.deepEqual(await store.load('3337EC46'), new Uint8Array([1, 2, 3]));
+  assert.equal(indexedDB.opens, 2);
+});
+
+test('a successful open is reused', async () => {
+  const indexedDB = fakeIndexedDB(0);
+  const store = new BatteryStore(indexedDB);
+  assert.equal(await store.load('3337EC46'), null);
+  await store.save('3337EC46', new Uint8Array([4]));
+  assert.equal(indexedDB.opens, 1);
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CPU from '../src/cpu.js';
+
+const { C, Z, I, V, N } = CPU.FLAGS;
+
+// A CPU on 64 KiB of flat RAM, about to run `code` at $0200. Operands point
+// at $0310, directly and through the zero-page pointer at $10.
+function setup(code, regs = {}) {
+  const ram = new Uint8Array(0x10000);
+  ram.set(code, 0x0200);
+  ram[0x10] = 0x10;
+  ram[0x11] = 0x03;
+  const cpu = new CPU({ read: (addr) => ram[addr & 0xFFFF], write: (addr, value) => { ram[addr & 0xFFFF] = value; } });
+  cpu.PC = 0x0200;
+  Object.assign(cpu, regs);
+  return { cpu, ram };
+}
+
+// Official opcodes: [opcode, bytes, cycles, +1 when an index crosses a page]
+const OPCODES = [];
+const group = (ops, table) => ops.forEach((op, i) => table[i] && OPCODES.push([op, ...table[i]]));
+const ALU = [[2, 2], [2, 3], [2, 4], [3, 4], [3, 4, true], [3, 4, true], [2, 6], [2, 5, true]]; // imm zp zpx abs absx absy izx izy
+for (const base of [0x69, 0x29, 0x09, 0x49, 0xA9, 0xC9, 0xE9]) {
+  group([base, base - 4, base + 12, base + 4, base + 20, base + 16, base - 8, base + 8], ALU);
+}
+group([0x85, 0x95, 0x8D, 0x9D, 0x99, 0x81, 0x91], [[2, 3], [2, 4], [3, 4], [3, 5], [3, 5], [2, 6], [2, 6]]); // STA
+for (const base of [0x06, 0x46, 0x26, 0x66]) {
+  group([base + 4, base, base + 16, base + 8, base + 24], [[1, 2], [2, 5], [2, 6], [3, 6], [3, 7]]); // ASL LSR ROL ROR
+}
+for (const base of [0xE6, 0xC6]) group([base, base + 16, base + 8, base + 24], [[2, 5], [2, 6], [3, 6], [3, 7]]); // INC DEC
+group([0xA2, 0xA6, 0xB6, 0xAE, 0xBE], [[2, 2], [2, 3], [2, 4], [3, 4], [3, 4, true]]); // LDX
+group([0xA0, 0xA4, 0xB4, 0xAC, 0xBC], [[2, 2], [2, 3], [2, 4], [3, 4], [3, 4, true]]); // LDY
+group([0x86, 0x96, 0x8E, 0x84, 0x94, 0x8C], [[2, 3], [2, 4], [3, 4], [2, 3], [2, 4], [3, 4]]); // STX STY
+group([0xE0, 0xE4, 0xEC, 0xC0, 0xC4, 0xCC, 0x24, 0x2C], [[2, 2], [2, 3], [3, 4], [2, 2], [2, 3], [3, 4], [2, 3], [3, 4]]); // CPX CPY BIT
+for (const op of [0x18, 0x38, 0x58, 0x78, 0xB8, 0xD8, 0xF8, 0xAA, 0x8A, 0xA8, 0x98, 0xBA, 0x9A, 0xE8, 0xC8, 0xCA, 0x88, 0xEA]) OPCODES.push([op, 1, 2]);
+group([0x48, 0x08, 0x68, 0x28], [[1, 3], [1, 3], [1, 4], [1, 4]]); // PHA PHP PLA PLP
+// Branches, set up so they are not taken
+const BRANCHES = { 0x10: N, 0x30: 0, 0x50: V, 0x70: 0, 0x90: C, 0xB0: 0, 0xD0: Z, 0xF0: 0 };
+for (const op of Object.keys(BRANCHES)) OPCODES.push([+op, 2, 2]);
+// Control flow: [opcode, cycles, PC after]
+const JUMPS = [[0x4C, 3, 0x0310], [0x6C, 5, 0x0000], [0x20, 6, 0x0310], [0x60, 6, 0x0001], [0x40, 6, 0x0000], [0x00, 7, 0x0000]];
+
+test('there are 151 official opcodes', () => {
+  assert.equal(OPCODES.length + JUMPS.length, 151);
+  assert.equal(new Set([...OPCODES, ...JUMPS].map(([op]) => op)).size, 151);
+});
+
+test('official opcodes take their documented cycles and length', () => {
+  for (const [op, bytes, cycles] of OPCODES) {
+    const { cpu } = setup([op, 0x10, 0x03], { status: 0x24 | (BRANCHES[op] ?? 0) });
+    const name = `$${op.toString(16).padStart(2, '0')}`;
+    assert.equal(cpu.step(), cycles, `${name} cycles`);
+    assert.equal(cpu.PC, 0x0200 + bytes, `${name} length`);
+    assert.equal(cpu.halted, null, `${name} halted`);
+  }
+  for (const [op, cycles, pc] of JUMPS) {
+    const { cpu } = setup([op, 0x10, 0x03]);
+    assert.equal(cpu.step(), cycles, `$${op.toString(16)} cycles`);
+    assert.equal(cpu.PC, pc, `$${op.toString(16)} target`);
+  }
+});
+
+test('indexed reads take a cycle more when they cross a page, writes and RMW never do', () => {
+  for (const [op, , cycles, penalty] of OPCODES) {
+    if (BRANCHES[op] !== undefined) continue;
+    const { cpu } = setup([op, 0x10, 0x03], { X: 0xF0, Y: 0xF0 }); // $0310 + $F0 = $0400
+    assert.equal(cpu.step(), cycles + (penalty ? 1 : 0), `$${op.toString(16).padStart(2, '0')}`);
+  }
+});
+
+test('taken branches take one cycle more, two when they land on another page', () => {
+  let { cpu } = setup([0xD0, 0x10]); // BNE +16
+  assert.equal(cpu.step(), 3);
+  assert.equal(cpu.PC, 0x0212);
+  ({ cpu } = setup([0xD0, 0x80])); // BNE -128 into page 1
+  assert.equal(cpu.step(), 4);
+  assert.equal(cpu.PC, 0x0182);
+});
+
+test('JMP ($xxFF) takes the high byte from the start of the same page', () => {
+  const { cpu, ram } = setup([0x6C, 0xFF, 0x03]);
+  ram[0x03FF] = 0x34;
+  ram[0x0300] = 0x12;
+  ram[0x0400] = 0x56;
+  cpu.step();
+  assert.equal(cpu.PC, 0x1234);
+});
+
+test('ADC and SBC set carry and overflow', () => {
+  const cases = [
+    // [opcode, A, operand, carry in, result, flags set]
+    [0x69, 0x50, 0x50, 0, 0xA0, V | N],
+    [0x69, 0xFF, 0x01, 0, 0x00, C | Z],
+    [0x69, 0x7F, 0x00, 1, 0x80, V | N],
+    [0xE9, 0x50, 0xF0, 1, 0x60, 0],
+    [0xE9, 0xD0, 0x70, 1, 0x60, C | V],
+    [0xE9, 0x00, 0x00, 0, 0xFF, N],
+  ];
+  for (const [op, a, operand, carry, result, flags] of cases) {
+    const { cpu } = setup([op, operand], { A: a, status: 0x24 | carry });
+    cpu.step();
+    assert.equal(cpu.A, result);
+    assert.equal(cpu.status & (C | Z | V | N), flags, `$${op.toString(16)} ${a} ${operand} ${carry}`);
+  }
+});
+
+test('compares, BIT and rotates set the flags from their operands', () => {
+  let { cpu } = setup([0xC9, 0x40], { A: 0x40 }); // CMP #$40
+  cpu.step();
+  assert.equal(cpu.status & (C | Z | N), C | Z);
+  ({ cpu } = setup([0xC9, 0x41], { A: 0x40 }));
+  cpu.step();
+  assert.equal(cpu.status & (C | Z | N), N);
+
+  let ram;
+  ({ cpu, ram } = setup([0x2C, 0x10, 0x03], { A: 0x01 })); // BIT $0310
+  ram[0x0310] = 0xC0;
+  cpu.step();
+  assert.equal(cpu.status & (Z | V | N), Z | V | N);
+
+  ({ cpu } = setup([0x6A], { A: 0x01, status: 0x24 | C })); // ROR A
+  cpu.step();
+  assert.equal(cpu.A, 0x80);
+  assert.equal(cpu.status & (C | N), C | N);
+});
+
+test('BRK pushes the return address and P with B set, and RTI restores them', () => {
+  const { cpu, ram } = setup([0x00, 0xEA], { SP: 0xFD, status: 0x20 | C });
+  ram[0xFFFE] = 0x00;
+  ram[0xFFFF] = 0x03;
+  ram[0x0300] = 0x40; // RTI
+  cpu.step();
+  assert.equal(cpu.PC, 0x0300);
+  assert.ok(cpu.getFlag(I));
+  assert.deepEqual([...ram.subarray(0x01FB, 0x01FE)], [0x20 | 0x10 | C, 0x02, 0x02]);
+  cpu.step();
+  assert.equal(cpu.PC, 0x0202);
+  assert.equal(cpu.status & (C | I), C);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import Cartridge from '../src/cartridge.js';
+import { addGames, lookupGame, romChecksum, sha1 } from '../src/gamedb.js';
+import { parseHeader } from '../src/header.js';
+import { buildNROM } from './helpers.js';
+
+const ROM = buildNROM([0x4C, 0x00, 0xC0]); // JMP *
+
+test('sha1 matches node:crypto across block boundaries', () => {
+  for (const length of [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000]) {
+    const bytes = new Uint8Array(length).map((_, i) => (i * 37 + 11) & 0xFF);
+    assert.equal(sha1(bytes), createHash('sha1').update(bytes).digest('hex').toUpperCase(), `length ${length}`);
+  }
+});
+
+test('romChecksum hashes PRG+CHR with both CRC32 and SHA-1', () => {
+  const { crc32, sha1: digest } = romChecksum(ROM, parseHeader(ROM));
+  assert.match(crc32, /^[0-9A-F]{8}$/);
+  assert.equal(digest, createHash('sha1').update(ROM.subarray(16)).digest('hex').toUpperCase());
+});
+
+test('a CRC32 match with a different SHA-1 is not recognized', () => {
+  const { crc32, sha1: digest } = romChecksum(ROM, parseHeader(ROM));
+  addGames([{ crc32, sha1: '0'.repeat(40), title: 'Collision', mirroring: 'four' }]);
+  assert.equal(lookupGame(crc32, digest), null);
+  assert.equal(new Cartridge(ROM).game, null);
+
+  addGames([{ crc32, sha1: digest, title: 'Test Cart', mirroring: 'four' }]);
+  const cart = new Cartridge(ROM);
+  assert.equal(cart.sha1, digest);
+  assert.equal(cart.game.title, 'Test Cart');
+  assert.deepEqual(cart.corrections, ['mirroring']);
+});
+
+test('entries without a SHA-1 match on CRC32 alone', () => {
+  const rom = buildNROM([0x4C, 0x01, 0xC0]);
+  const { crc32 } = romChecksum(rom, parseHeader(rom));
+  addGames([{ crc32, title: 'CRC Only' }]);
+  assert.equal(new Cartridge(rom).game.title, 'CRC Only');
+});
@@ -0,0 +1,107 @@
+// helpers.js
+// Shared fixtures for the unit tests: tiny hand-assembled ROMs, and the core of
+// the single-file build (lemon-emu.html) loaded outside a browser.
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+/**
+ * Build a 16 KiB NROM image with `code` at $C000 and the vectors pointing at
+ * the given addresses (all default to $C000).
+ * @param {number[]} code - machine code placed at $C000
+ * @param {Object} [opts]
+ * @param {{addr:number, bytes:number[]}[]} [opts.chunks] - more code elsewhere in $C000-$FFF9
+ * @param {number} [opts.nmi=0xC000]
+ * @param {number} [opts.reset=0xC000]
+ * @param {number} [opts.irq=0xC000]
+ * @param {number} [opts.timing] - NES 2.0 timing mode (0 NTSC, 1 PAL, 2 multi, 3 Dendy)
+ * @param {number} [opts.mapper=0] - iNES mapper number, for boards whose last
+ *   8 KiB bank is fixed at $E000 (code then goes in chunks at $E000 and up)
+ * @returns {Uint8Array}
+ */
+export function buildNROM(code, { chunks = [], nmi = 0xC000, reset = 0xC000, irq = 0xC000, timing, mapper = 0 } = {}) {
+  const prg = new Uint8Array(0x4000).fill(0xEA); // NOP
+  prg.set(code, 0);
+  for (const { addr, bytes } of chunks) prg.set(bytes, addr - 0xC000);
+  const vectors = [nmi, reset, irq];
+  vectors.forEach((vector, i) => {
+    prg[0x3FFA + i * 2] = vector & 0xFF;
+    prg[0x3FFB + i * 2] = vector >> 8;
+  });
+  const header = [0x4E, 0x45, 0x53, 0x1A, 1, 1, (mapper & 0x0F) << 4, mapper & 0xF0, 0, 0, 0, 0, 0, 0, 0, 0];
+  if (timing !== undefined) {
+    header[7] |= 0x08; // NES 2.0
+    header[12] = timing;
+  }
+  const rom = new Uint8Array(16 + prg.length + 0x2000);
+  rom.set(header, 0);
+  rom.set(prg, 16);
+  return rom;
+}
+
+// NES 2.0 RAM size field: 64 << n bytes, 0 for none
+const sizeCode = (size) => (size ? Math.log2(size / 64) : 0);
+
+/**
+ * Build a ROM image for mapper tests. Every PRG-ROM byte holds the number of
+ * its 8 KiB bank and every CHR-ROM byte the number of its 1 KiB bank, so a
+ * read shows which bank is mapped. Giving a submapper or any RAM size makes
+ * it a NES 2.0 header.
+ * @param {Object} opts
+ * @param {number} opts.mapper
+ * @param {number} [opts.submapper]
+ * @param {number} [opts.prgSize=0x8000]
+ * @param {number} [opts.chrSize=0x2000] - 0 for CHR-RAM
+ * @param {boolean} [opts.battery=false]
+ * @param {number} [opts.prgRamSize]
+ * @param {number} [opts.prgNvramSize]
+ * @param {number} [opts.chrRamSize]
+ * @returns {Uint8Array}
+ */
+export function buildROM({ mapper, submapper, prgSize = 0x8000, chrSize = 0x2000, battery = false, prgRamSize, prgNvramSize, chrRamSize }) {
+  const header = new Uint8Array(16);
+  header.set([0x4E, 0x45, 0x53, 0x1A, prgSize >> 14, chrSize >> 13, ((mapper & 0x0F) << 4) | (battery ? 0x02 : 0), mapper & 0xF0]);
+  if ([submapper, prgRamSize, prgNvramSize, chrRamSize].some((v) => v !== undefined)) {
+    header[7] |= 0x08; // NES 2.0
+    header[8] = ((submapper || 0) << 4) | (mapper >> 8);
+    header[10] = sizeCode(prgRamSize) | (sizeCode(prgNvramSize) << 4);
+    header[11] = sizeCode(chrRamSize === undefined && !chrSize ? 0x2000 : chrRamSize);
+  }
+  const rom = new Uint8Array(16 + prgSize + chrSize);
+  rom.set(header, 0);
+  for (let i = 0; i < prgSize; i++) rom[16 + i] = i >> 13;
+  for (let i = 0; i < chrSize; i++) rom[16 + prgSize + i] = i >> 10;
+  return rom;
+}
+
+/**
+ * Evaluate the emulator core of lemon-emu.html (settings through the mappers,
+ * up to the NES machine and its UI) in a fresh context with just enough of
+ * the browser stubbed out to construct it.
+ * @returns {{ PPU: Function, CPU6502: Function, Bus: Function, Cartridge: Function, Controllers: Function, APU: Function, GameDB: Object, regionTiming: Function }}
+ */
+export function loadLemon() {
+  const html = readFileSync(new URL('../lemon-emu.html', import.meta.url), 'utf8');
+  const start = html.indexOf('// ===== GLOBAL SETTINGS OBJECT');
+  const end = html.indexOf('// ===== NES Machine');
+  const quiet = { log() {}, warn() {}, error() {} };
+  const context = {
+    console: quiet,
+    localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+    document: { getElementById: () => null, addEventListener() {} },
+    window: { addEventListener() {} },
+    performance: { now: () => 0 },
+  };
+  const exports = '({ PPU, CPU6502, Bus, Cartridge, Controllers, APU, GameDB, regionTiming })';
+  return vm.runInNewContext(html.slice(start, end) + exports, context);
+}
+
+/** A 2C02 from lemon-emu.html drawing into a throwaway canvas. */
+export function lemonPPU(lemon, rom) {
+  const ppu = new lemon.PPU();
+  ppu.attachCanvas({
+    getContext: () => ({ createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }), putImageData() {} }),
+  });
+  ppu.connectCart(new lemon.Cartridge(rom));
+  return ppu;
+}
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildNROM, lemonPPU, loadLemon } from './helpers.js';
+
+// Tests for the single-file build (lemon-emu.html), where it does not share
+// code with src/
+const lemon = loadLemon();
+const ROM = buildNROM([0x4C, 0x00, 0xC0]); // JMP *
+
+// Run the PPU from the start of one pre-render line to the next, noting the
+// dots the mapper sees a nametable read on
+function preRenderToPreRender(ppu) {
+  const reads = [];
+  ppu.mapper.ntRead = (addr, vram, index) => {
+    reads.push(`${ppu.scanline}:${ppu.cycle}`);
+    return vram[index];
+  };
+  let dots = 0;
+  do {
+    ppu.step();
+    dots++;
+  } while (ppu.scanline !== ppu.preRenderLine || ppu.cycle !== 0);
+  return { dots, reads };
+}
+
+test('rendering lines make the unused nametable fetches at dots 337 and 339', () => {
+  const ppu = lemonPPU(lemon, ROM);
+  ppu.mask = 0x18;
+  const { reads } = preRenderToPreRender(ppu);
+  const late = reads.filter((at) => +at.split(':')[1] >= 337);
+  assert.deepEqual(late.filter((at) => at.startsWith('261:')), ['261:337', '261:339']);
+  assert.deepEqual(late.filter((at) => at.startsWith('0:')), ['0:337', '0:339']);
+  assert.deepEqual(late.filter((at) => at.startsWith('239:')), ['239:337', '239:339']);
+  assert.equal(late.length, 241 * 2);
+});
+
+test('odd frames drop the last pre-render dot after its unused fetches', () => {
+  const ppu = lemonPPU(lemon, ROM);
+  ppu.mask = 0x18;
+  preRenderToPreRender(ppu);
+  const frames = [preRenderToPreRender(ppu), preRenderToPreRender(ppu)];
+  assert.deepEqual(frames.map((f) => f.dots).sort(), [341 * 262 - 1, 341 * 262]);
+  for (const { reads } of frames) {
+    assert.deepEqual(reads.filter((at) => at === '261:337' || at === '261:339'), ['261:337', '261:339']);
+  }
+});
+
+test('frames keep every dot with rendering off', () => {
+  const ppu = lemonPPU(lemon, ROM);
+  const frames = [preRenderToPreRender(ppu), preRenderToPreRender(ppu)];
+  assert.deepEqual(frames.map((f) => f.dots), [341 * 262, 341 * 262]);
+  assert.deepEqual(frames.map((f) => f.reads.length), [0, 0]);
+});
+
+// A PPU timed for the region in the ROM header (or its game database entry),
+// as NES.loadROM sets it up
+function regionPPU(rom) {
+  const ppu = lemonPPU(lemon, rom);
+  ppu.setRegion(lemon.regionTiming(ppu.cart.header.timing));
+  ppu.reset();
+  return ppu;
+}
+
+// Dot of the frame that sets the VBlank flag, counted from the pre-render line
+function vblankDot(ppu) {
+  ppu.status &= 0x7F;
+  for (let dots = 0; dots < 341 * 312; dots++) {
+    ppu.step();
+    if (ppu.status & 0x80) return { scanline: ppu.scanline, dots };
+  }
+  return null;
+}
+
+test('a PAL header gives 312-line frames with VBlank on line 241 and no dot skip', () => {
+  const ppu = regionPPU(buildNROM([0x4C, 0x00, 0xC0], { timing: 1 }));
+  ppu.mask = 0x18;
+  const frames = [preRenderToPreRender(ppu), preRenderToPreRender(ppu)];
+  assert.deepEqual(frames.map((f) => f.dots), [341 * 312, 341 * 312]);
+  assert.equal(vblankDot(ppu).scanline, 241);
+});
+
+test('a Dendy header starts VBlank on line 291', () => {
+  const ppu = regionPPU(buildNROM([0x4C, 0x00, 0xC0], { timing: 3 }));
+  assert.deepEqual(vblankDot(ppu), { scanline: 291, dots: 341 * 292 + 1 });
+});
+
+test('multi-region carts run as NTSC', () => {
+  const ppu = regionPPU(buildNROM([0x4C, 0x00, 0xC0], { timing: 2 }));
+  assert.equal(ppu.cart.header.timing, 'Multi-region');
+  assert.deepEqual(vblankDot(ppu), { scanline: 241, dots: 341 * 242 + 1 });
+});
+
+test('a game database region overrides the header timing', () => {
+  const rom = buildNROM([0xEA, 0x4C, 0x00, 0xC0]);
+  const { crc32 } = new lemon.Cartridge(rom);
+  lemon.GameDB.add([{ crc32, title: 'PAL test', region: 'PAL' }]);
+  const ppu = regionPPU(rom);
+  assert.deepEqual([...ppu.cart.corrections], ['timing']);
+  assert.equal(vblankDot(ppu).scanline, 241);
+  assert.equal(ppu.lines, 312);
+});
+
+test('the APU takes its noise and DMC periods and frame sequencer step from the region', () => {
+  const apu = new lemon.APU();
+  apu.setRegion(lemon.regionTiming('PAL'));
+  apu.write(0x400E, 0x02);
+  apu.write(0x4010, 0x00);
+  assert.equal(apu.noise.timerPeriod, 14);
+  assert.equal(apu.dmc.timerPeriod, 398);
+  // The 4-step sequence raises its IRQ about 33253 cycles in on PAL, 29830 on NTSC
+  apu.write(0x4017, 0x00);
+  apu.step(30000);
+  assert.equal(apu.frameIRQ, false);
+  apu.step(3300);
+  assert.equal(apu.frameIRQ, true);
+  assert.equal(apu.resampler.cyclesPerSample, 1662607 / 44100);
+});
+
+// A CPU on flat RAM with RTI at $8000 and both interrupt vectors pointing at it
+function lemonCPU() {
+  const memory = new Uint8Array(0x10000);
+  memory[0x8000] = 0x40; // RTI
+  memory.set([0x00, 0x80, 0x00, 0x90, 0x00, 0x80], 0xFFFA);
+  const cpu = new lemon.CPU6502({ cpuRead: (addr) => memory[addr], cpuWrite: (addr, val) => { memory[addr] = val; } });
+  cpu.reset();
+  cpu.p = 0x20; // I clear
+  return { cpu, memory };
+}
+
+for (const kind of ['nmi', 'irq']) {
+  test(`${kind} pushes P before setting I, so RTI clears it again`, () => {
+    const { cpu, memory } = lemonCPU();
+    cpu[kind]();
+    assert.equal(cpu.pc, 0x8000);
+    assert.equal(cpu.getI(), 1);
+    assert.equal(memory[0x100 + cpu.sp + 1] & 0x04, 0, 'pushed P has I clear');
+    cpu.step();
+    assert.equal(cpu.pc, 0x9000);
+    assert.equal(cpu.getI(), 0);
+  });
+}
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Cartridge from '../src/cartridge.js';
+import { buildROM, lemonPPU, loadLemon } from './helpers.js';
+
+// The same checks run on src/mappers/mapper1.js and the single-file build
+const lemon = loadLemon();
+const BUILDS = {
+  src: (rom) => new Cartridge(rom).mapper,
+  lemon: (rom) => lemonPPU(lemon, rom).mapper,
+};
+
+// One register write through the serial port, a CPU cycle apart per bit
+function write(mapper, addr, value) {
+  for (let i = 0; i < 5; i++) {
+    mapper.prgWrite(addr, (value >> i) & 1);
+    mapper.cpuClock();
+  }
+}
+
+// 16 KiB PRG bank at $8000 (the ROM holds 8 KiB bank numbers)
+const bankAt8000 = (mapper) => mapper.prgRead(0x8000) >> 1;
+
+for (const [build, load] of Object.entries(BUILDS)) {
+  test(`${build}: writes on consecutive CPU cycles are ignored after the first`, () => {
+    const mapper = load(buildROM({ mapper: 1, prgSize: 0x40000 }));
+    write(mapper, 0x8000, 0x0C);
+    // A read-modify-write stores twice on back-to-back cycles: only the first lands
+    mapper.prgWrite(0xE000, 0x80);
+    mapper.prgWrite(0xE000, 0x01);
+    mapper.cpuClock();
+    write(mapper, 0xE000, 0x05);
+    assert.equal(bankAt8000(mapper), 5);
+    // Without the guard the $01 would have been shifted in first
+    mapper.prgWrite(0xE000, 0x01);
+    mapper.prgWrite(0xE000, 0x01);
+    mapper.cpuClock();
+    for (let i = 0; i < 4; i++) {
+      mapper.prgWrite(0xE000, 0);
+      mapper.cpuClock();
+    }
+    assert.equal(bankAt8000(mapper), 1);
+  });
+
+  test(`${build}: SUROM picks the 256 KiB half with CHR bit 4`, () => {
+    const mapper = load(buildROM({ mapper: 1, prgSize: 0x80000, chrSize: 0 }));
+    write(mapper, 0x8000, 0x0C); // fixed last bank at $C000
+    write(mapper, 0xE000, 0x03);
+    assert.equal(bankAt8000(mapper), 3);
+    assert.equal(mapper.prgRead(0xC000) >> 1, 15);
+    write(mapper, 0xA000, 0x10);
+    assert.equal(bankAt8000(mapper), 19);
+    assert.equal(mapper.prgRead(0xC000) >> 1, 31);
+  });
+
+  test(`${build}: in 4 KiB CHR mode the outer bank follows the register the PPU used last`, () => {
+    const mapper = load(buildROM({ mapper: 1, prgSize: 0x80000, chrSize: 0 }));
+    write(mapper, 0x8000, 0x1C); // 4 KiB CHR
+    write(mapper, 0xA000, 0x00);
+    write(mapper, 0xC000, 0x10);
+    mapper.chrRead(0x0000);
+    assert.equal(bankAt8000(mapper), 0);
+    mapper.chrRead(0x1000);
+    assert.equal(bankAt8000(mapper), 16);
+  });
+
+  test(`${build}: SXROM banks 32 KiB of PRG-RAM with CHR bits 2-3`, () => {
+    const mapper = load(buildROM({ mapper: 1, prgSize: 0x80000, chrSize: 0, battery: true, prgNvramSize: 0x8000 }));
+    for (let bank = 0; bank < 4; bank++) {
+      write(mapper, 0xA000, bank << 2);
+      mapper.ramWrite(0x6000, 0x40 + bank);
+    }
+    for (let bank = 0; bank < 4; bank++) {
+      write(mapper, 0xA000, (bank << 2) | 0x10);
+      assert.equal(mapper.ramRead(0x6000), 0x40 + bank);
+    }
+    assert.equal(bankAt8000(mapper), 16); // bit 4 still picks the PRG half
+  });
+
+  test(`${build}: SOROM puts its battery RAM in the second bank`, () => {
+    const rom = buildROM({ mapper: 1, prgSize: 0x20000, chrSize: 0, battery: true, prgRamSize: 0x2000, prgNvramSize: 0x2000 });
+    const mapper = load(rom);
+    mapper.ramWrite(0x6000, 0x11);
+    write(mapper, 0xA000, 0x08);
+    mapper.ramWrite(0x6000, 0x22);
+    assert.equal(mapper.ramRead(0x6000), 0x22);
+    write(mapper, 0xA000, 0x00);
+    assert.equal(mapper.ramRead(0x6000), 0x11);
+    assert.deepEqual([...mapper.cart.batteryRAM.subarray(0, 1)], [0x22]);
+  });
+
+  test(`${build}: the NES 2.0 submapper names the board`, () => {
+    // Submapper 2 (SOROM) with only the RAM total given still banks it
+    const sorom = load(buildROM({ mapper: 1, submapper: 2, prgSize: 0x20000, chrSize: 0, battery: true, prgNvramSize: 0x4000 }));
+    sorom.ramWrite(0x6000, 0x33);
+    write(sorom, 0xA000, 0x08);
+    assert.equal(sorom.ramRead(0x6000), 0);
+    // Submapper 5 (SEROM/SHROM) has its 32 KiB of PRG fixed
+    const serom = load(buildROM({ mapper: 1, submapper: 5, prgSize: 0x8000 }));
+    write(serom, 0xE000, 0x01);
+    assert.equal(serom.prgRead(0x8000), 0);
+    assert.equal(serom.prgRead(0xE000), 3);
+    // Submapper 3 is the MMC1A, whose RAM can't be disabled
+    const mmc1a = load(buildROM({ mapper: 1, submapper: 3, prgSize: 0x20000, prgRamSize: 0x2000 }));
+    write(mmc1a, 0xE000, 0x10);
+    mmc1a.ramWrite(0x6000, 0x44);
+    assert.equal(mmc1a.ramRead(0x6000), 0x44);
+  });
+
+  test(`${build}: a plain iNES battery board keeps one 8 KiB RAM bank`, () => {
+    const mapper = load(buildROM({ mapper: 1, prgSize: 0x20000, chrSize: 0, battery: true }));
+    mapper.ramWrite(0x6000, 0x55);
+    write(mapper, 0xA000, 0x0C);
+    assert.equal(mapper.ramRead(0x6000), 0x55);
+    write(mapper, 0xE000, 0x10); // PRG-RAM disable
+    assert.equal(mapper.ramRead(0x6000), 0);
+  });
+}
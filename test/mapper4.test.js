@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Cartridge from '../src/cartridge.js';
+import { buildROM, lemonPPU, loadLemon } from './helpers.js';
+
+// src/mappers watches A12 on CHR reads and raises mapper.irqLine; the
+// single-file build is told every PPU address and drives the CPU's IRQ line
+const lemon = loadLemon();
+const BUILDS = {
+  src: (rom) => {
+    const { mapper } = new Cartridge(rom);
+    return { mapper, fetch: (addr) => mapper.chrRead(addr), pending: () => mapper.irqLine };
+  },
+  lemon: (rom) => {
+    const { mapper } = lemonPPU(lemon, rom);
+    mapper.cpu = { irqLine: false };
+    return { mapper, fetch: (addr) => mapper.ppuAddress(addr), pending: () => mapper.cpu.irqLine };
+  },
+};
+
+// `dots` PPU cycles with A12 low, then one fetch with it high
+function edge(m, dots) {
+  for (let i = 0; i < dots; i++) {
+    m.fetch(0x0000);
+    m.mapper.ppuCycle();
+  }
+  m.fetch(0x1000);
+  m.mapper.ppuCycle();
+}
+
+// A rendered line with the background at $0000 and sprites at $1000: 256
+// dots of background fetches, then eight sprite fetches 8 dots apart with
+// only unrelated nametable reads in between
+function scanline(m) {
+  for (let dot = 0; dot < 341; dot++) {
+    if (dot < 256 && (dot & 7) === 0) m.fetch(0x0000);
+    else if (dot >= 260 && dot < 320 && (dot & 7) === 4) m.fetch(0x1000);
+    m.mapper.ppuCycle();
+  }
+}
+
+function load(build, submapper) {
+  return BUILDS[build](buildROM({ mapper: 4, submapper, prgSize: 0x20000, chrSize: 0x20000 }));
+}
+
+function arm(m, latch) {
+  m.mapper.prgWrite(0xC000, latch);
+  m.mapper.prgWrite(0xC001, 0);
+  m.mapper.prgWrite(0xE001, 0);
+}
+
+// $E000 clears a pending IRQ and disables IRQs, $E001 enables them again
+function acknowledge(m) {
+  m.mapper.prgWrite(0xE000, 0);
+  m.mapper.prgWrite(0xE001, 0);
+}
+
+for (const build of Object.keys(BUILDS)) {
+  test(`${build}: A12 rises only count after a long enough low`, () => {
+    const m = load(build);
+    arm(m, 1);
+    edge(m, 20); // reload to 1
+    for (let i = 0; i < 8; i++) edge(m, 3);
+    assert.equal(m.mapper.irqCounter, 1);
+    assert.equal(m.pending(), false);
+    edge(m, 9);
+    assert.equal(m.mapper.irqCounter, 1);
+    edge(m, 10);
+    assert.equal(m.mapper.irqCounter, 0);
+    assert.equal(m.pending(), true);
+  });
+
+  test(`${build}: the counter clocks once per rendered line and $E000 acknowledges`, () => {
+    const m = load(build);
+    arm(m, 3);
+    const fired = [];
+    for (let line = 0; line < 9; line++) {
+      scanline(m);
+      fired.push(m.pending());
+      if (m.pending()) acknowledge(m);
+    }
+    // Reload on the first line, then 2, 1, 0 and the same again
+    assert.deepEqual(fired, [false, false, false, true, false, false, false, true, false]);
+    m.mapper.prgWrite(0xE000, 0);
+    for (let line = 0; line < 8; line++) scanline(m);
+    assert.equal(m.pending(), false);
+  });
+
+  test(`${build}: a latch of 0 fires every line on the new MMC3`, () => {
+    const m = load(build);
+    arm(m, 0);
+    for (let line = 0; line < 3; line++) {
+      scanline(m);
+      assert.equal(m.pending(), true, `line ${line}`);
+      acknowledge(m);
+    }
+  });
+
+  test(`${build}: a latch of 0 fires only on the requested reload on the old MMC3A`, () => {
+    const m = load(build, 4);
+    arm(m, 0);
+    scanline(m);
+    assert.equal(m.pending(), true);
+    acknowledge(m);
+    for (let line = 0; line < 3; line++) scanline(m);
+    assert.equal(m.pending(), false);
+    m.mapper.prgWrite(0xC001, 0);
+    scanline(m);
+    assert.equal(m.pending(), true);
+  });
+
+  test(`${build}: counting down to 0 fires on both revisions`, () => {
+    for (const submapper of [0, 4]) {
+      const m = load(build, submapper);
+      arm(m, 2);
+      for (let line = 0; line < 3; line++) scanline(m);
+      assert.equal(m.pending(), true, `submapper ${submapper}`);
+    }
+  });
+}
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Memory from '../src/memory.js';
+import PPU from '../src/ppu.js';
+import { buildROM, lemonPPU, loadLemon } from './helpers.js';
+
+// The MMC5 works out scanlines, tiles and the split from the PPU's fetches,
+// so each build's own PPU renders a blank screen and the test watches what
+// the mapper answers. src/mappers raises mapper.irqLine; the single-file
+// build drives the CPU's IRQ line
+const lemon = loadLemon();
+const BUILDS = {
+  src: (rom) => {
+    const bus = new Memory();
+    bus.loadCartridge(rom);
+    const ppu = new PPU();
+    ppu.connectBus(bus);
+    ppu.setRegion('NTSC');
+    ppu.reset();
+    return { ppu, mapper: bus.mapper, pending: () => bus.mapper.irqLine };
+  },
+  lemon: (rom) => {
+    const ppu = lemonPPU(lemon, rom);
+    ppu.mapper.cpu = { irqLine: false };
+    return { ppu, mapper: ppu.mapper, pending: () => ppu.mapper.cpu.irqLine };
+  },
+};
+
+const ROM = buildROM({ mapper: 5, prgSize: 0x20000, chrSize: 0x10000 });
+
+function load(build) {
+  const m = BUILDS[build](ROM);
+  m.ppu.mask = 0x18;
+  return m;
+}
+
+// Step the PPU until `done` holds, at most two frames
+function runUntil({ ppu }, done) {
+  for (let i = 0; i < 2 * 341 * 262; i++) {
+    if (done()) return true;
+    ppu.step();
+  }
+  return false;
+}
+
+const at = (ppu, scanline, cycle = 0) => () => ppu.scanline === scanline && ppu.cycle === cycle;
+
+for (const build of Object.keys(BUILDS)) {
+  test(`${build}: the scanline IRQ fires at the start of the line in $5203`, () => {
+    const m = load(build);
+    const { ppu, mapper, pending } = m;
+    assert.ok(runUntil(m, at(ppu, 261))); // the pre-render line starts the frame
+    mapper.expansionWrite(0x5203, 40);
+    mapper.expansionWrite(0x5204, 0x80);
+    assert.ok(runUntil(m, pending));
+    assert.equal(ppu.scanline, 40);
+    assert.ok(ppu.cycle < 8, `fired at dot ${ppu.cycle}`);
+
+    // $5204 reports pending and in-frame, and the read acknowledges
+    assert.equal(mapper.expansionRead(0x5204), 0xC0);
+    assert.equal(pending(), false);
+    assert.equal(mapper.expansionRead(0x5204), 0x40);
+
+    // Out of the frame once the visible lines end, and again next frame
+    assert.ok(runUntil(m, at(ppu, 241)));
+    assert.equal(mapper.expansionRead(0x5204), 0x00);
+    assert.ok(runUntil(m, pending));
+    assert.equal(ppu.scanline, 40);
+  });
+
+  test(`${build}: no scanline IRQ while it is disabled or rendering is off`, () => {
+    let m = load(build);
+    m.mapper.expansionWrite(0x5203, 40);
+    assert.equal(runUntil(m, m.pending), false);
+    assert.equal(m.mapper.expansionRead(0x5204) & 0x80, 0x80); // still flagged
+
+    m = load(build);
+    m.ppu.mask = 0;
+    m.mapper.expansionWrite(0x5203, 40);
+    m.mapper.expansionWrite(0x5204, 0x80);
+    assert.equal(runUntil(m, m.pending), false);
+  });
+
+  test(`${build}: the split draws its tiles from ExRAM and its CHR bank`, () => {
+    for (const [ctrl, tiles] of [[0x80 | 4, [0, 1, 2, 3]], [0xC0 | 28, [28, 29, 30, 31, 32, 33]]]) {
+      const m = load(build);
+      const { ppu, mapper } = m;
+      // Fill ExRAM as CPU RAM (mode 2), then use it as a nametable (mode 0)
+      mapper.expansionWrite(0x5104, 2);
+      for (let i = 0; i < 0x3C0; i++) mapper.expansionWrite(0x5C00 + i, 0x80 | (i >> 5));
+      mapper.expansionWrite(0x5104, 0);
+      mapper.expansionWrite(0x5200, ctrl);
+      mapper.expansionWrite(0x5201, 100); // Y scroll
+      mapper.expansionWrite(0x5202, 3);   // 4 KiB CHR bank 3: 1 KiB banks 12-15
+
+      const tileReads = [];
+      const patternReads = [];
+      const { ntRead, chrRead } = mapper;
+      mapper.ntRead = (addr, ...rest) => {
+        const value = ntRead.call(mapper, addr, ...rest);
+        if (ppu.scanline === 50 && ppu.cycle <= 256 && (addr & 0x3FF) < 0x3C0) tileReads.push(value);
+        return value;
+      };
+      mapper.chrRead = (addr) => {
+        const value = chrRead.call(mapper, addr);
+        if (ppu.scanline === 50) patternReads.push(value);
+        return value;
+      };
+      assert.ok(runUntil(m, at(ppu, 51)));
+
+      // Dots 1-256 fetch tiles 2-33 and dots 321-336 tiles 0-1 of the next
+      // line, two pattern reads each; sprites are all off screen
+      const split = tiles.length * 2;
+      assert.equal(patternReads.filter((v) => v >= 12 && v < 16).length, split, `$5200=${ctrl.toString(16)} CHR`);
+      const inLine = tiles.filter((t) => t >= 2).length;
+      // (100 + 50) / 8 = row 18 of ExRAM
+      assert.deepEqual(tileReads.filter((v) => v & 0x80), new Array(inLine).fill(0x92), `$5200=${ctrl.toString(16)} tiles`);
+    }
+  });
+
+  test(`${build}: $5205/$5206 multiply`, () => {
+    const { mapper } = load(build);
+    assert.equal(mapper.expansionRead(0x5205) | (mapper.expansionRead(0x5206) << 8), 0xFF * 0xFF);
+    mapper.expansionWrite(0x5205, 200);
+    mapper.expansionWrite(0x5206, 123);
+    assert.equal(mapper.expansionRead(0x5205), (200 * 123) & 0xFF);
+    assert.equal(mapper.expansionRead(0x5206), (200 * 123) >> 8);
+  });
+}
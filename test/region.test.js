@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createEmulator } from '../src/headless.js';
+import { buildNROM } from './helpers.js';
+
+// Enables NMI and rendering, then spins; the NMI handler counts frames in $00
+const CODE = [
+  0xA9, 0x80, 0x8D, 0x00, 0x20, // LDA #$80, STA $2000
+  0xA9, 0x18, 0x8D, 0x01, 0x20, // LDA #$18, STA $2001
+  0x4C, 0x0A, 0xC0,             // JMP *
+];
+const NMI = { addr: 0xC100, bytes: [0xE6, 0x00, 0x40] }; // INC $00, RTI
+
+function boot(timing) {
+  const emulator = createEmulator({ region: 'AUTO' });
+  emulator.loadROM(buildNROM(CODE, { chunks: [NMI], nmi: 0xC100, timing }));
+  for (let i = 0; i < 3; i++) emulator.runFrame();
+  return emulator;
+}
+
+// CPU cycles over `frames` whole frames, measured between VBlank starts
+function cyclesPerFrame(emulator, frames = 10) {
+  let cycles = 0;
+  for (let i = 0; i < frames; i++) cycles += emulator.runFrame().cpuCyclesRun;
+  return cycles / frames;
+}
+
+test('NTSC frames are 262 lines with the odd-frame dot skip', () => {
+  const emulator = boot(0);
+  assert.equal(emulator.region.name, 'NTSC');
+  assert.equal(emulator.ppu.scanlines, 262);
+  assert.ok(Math.abs(cyclesPerFrame(emulator) - 29780.5) < 2);
+  assert.equal(emulator.ppu.scanline, 241);
+});
+
+test('a PAL header selects 312 lines at 3.2 dots per CPU cycle', () => {
+  const emulator = boot(1);
+  assert.equal(emulator.region.name, 'PAL');
+  assert.equal(emulator.ppu.scanlines, 312);
+  assert.ok(Math.abs(cyclesPerFrame(emulator) - 312 * 341 / 3.2) < 2);
+  assert.equal(emulator.ppu.scanline, 241);
+  const before = emulator.bus.ram[0];
+  emulator.runFrame();
+  assert.equal(emulator.bus.ram[0], (before + 1) & 0xFF, 'one NMI per frame');
+});
+
+test('a Dendy header keeps 3 dots per cycle and starts VBlank on line 291', () => {
+  const emulator = boot(3);
+  assert.equal(emulator.region.name, 'DENDY');
+  assert.ok(Math.abs(cyclesPerFrame(emulator) - 312 * 341 / 3) < 2);
+  assert.equal(emulator.ppu.scanline, 291);
+});
+
+test('the APU follows the region clock and tables', () => {
+  const pal = boot(1).apu;
+  assert.equal(pal.resampler.cpuHz, 1662607);
+  assert.equal(pal.noise.periods[2], 14);
+  assert.equal(pal.dmc.rates[0], 398);
+  assert.equal(pal.timing.frame.end4, 33254);
+
+  const dendy = boot(3).apu;
+  assert.equal(dendy.resampler.cpuHz, 1773448);
+  assert.equal(dendy.noise.periods[2], 16);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createEmulator } from '../src/headless.js';
+import { TraceLogger, parseTraceLine } from '../src/trace.js';
+import { buildNROM } from './helpers.js';
+
+test('an OAM DMA stall adds no trace lines', () => {
+  const rom = buildNROM([
+    0x78,             // C000 SEI
+    0xA9, 0x02,       // C001 LDA #$02
+    0x8D, 0x14, 0x40, // C003 STA $4014
+    0xEA,             // C006 NOP
+    0x4C, 0x06, 0xC0, // C007 JMP $C006
+  ]);
+  const emulator = createEmulator();
+  emulator.loadROM(rom);
+  const tracer = new TraceLogger();
+  emulator.setTracer(tracer);
+  // Each stall cycle is a step() of its own, so this covers the whole DMA
+  for (let i = 0; i < 2000 && tracer.count < 7; i++) emulator.stepInstruction();
+
+  const lines = tracer.lines.map(parseTraceLine).map((l) => ({ ...l, cyc: +l.cyc }));
+  assert.deepEqual(lines.map((l) => l.pc), ['C000', 'C001', 'C003', 'C006', 'C007', 'C006', 'C007']);
+  const dma = lines[3].cyc - lines[2].cyc - 4; // STA abs takes 4 cycles
+  assert.ok(dma === 513 || dma === 514, `DMA took ${dma} cycles`);
+});
+
+test('a halted CPU adds no trace lines', () => {
+  const rom = buildNROM([0xEA, 0x02]); // NOP, JAM
+  const emulator = createEmulator();
+  emulator.loadROM(rom);
+  const tracer = new TraceLogger();
+  emulator.setTracer(tracer);
+  for (let i = 0; i < 10; i++) emulator.stepInstruction();
+  assert.equal(tracer.count, 2);
+});
+
+test('tracing an MMC5 IRQ acknowledge does not change it', () => {
+  // Raise the MMC5 scanline IRQ on line 32 with rendering on; the handler reads
+  // $5204 (which acknowledges it) into $01 and counts IRQs in $00
+  const rom = buildNROM([], {
+    mapper: 5,
+    reset: 0xE000,
+    irq: 0xE100,
+    chunks: [
+      {
+        addr: 0xE000,
+        bytes: [
+          0xA9, 0x40, 0x8D, 0x17, 0x40, // LDA #$40, STA $4017 (no APU frame IRQ)
+          0xA9, 0x20, 0x8D, 0x03, 0x52, // LDA #$20, STA $5203
+          0xA9, 0x80, 0x8D, 0x04, 0x52, // LDA #$80, STA $5204
+          0xA9, 0x18, 0x8D, 0x01, 0x20, // LDA #$18, STA $2001
+          0x58,                         // CLI
+          0x4C, 0x15, 0xE0,             // JMP *
+        ],
+      },
+      { addr: 0xE100, bytes: [0xAD, 0x04, 0x52, 0x85, 0x01, 0xE6, 0x00, 0x40] }, // LDA $5204, STA $01, INC $00, RTI
+    ],
+  });
+  const run = (traced) => {
+    const emulator = createEmulator();
+    emulator.loadROM(rom);
+    if (traced) emulator.setTracer(new TraceLogger());
+    for (let i = 0; i < 3; i++) emulator.runFrame();
+    return [...emulator.bus.ram.subarray(0, 2)];
+  };
+  const plain = run(false);
+  assert.ok(plain[0] >= 2, `${plain[0]} IRQs`);
+  assert.equal(plain[1] & 0x80, 0x80, 'the handler sees the IRQ pending');
+  assert.deepEqual(run(true), plain);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Cartridge from '../src/cartridge.js';
+import { buildROM, lemonPPU, loadLemon } from './helpers.js';
+
+// The same checks run on src/mappers and the single-file build, which keep
+// the IRQ flag and mirroring in different places
+const lemon = loadLemon();
+const BUILDS = {
+  src: (rom) => {
+    const cart = new Cartridge(rom);
+    return { mapper: cart.mapper, pending: () => cart.mapper.irqLine, mirroring: () => cart.mirror };
+  },
+  lemon: (rom) => {
+    const { mapper } = lemonPPU(lemon, rom);
+    return { mapper, pending: () => mapper.irqPending, mirroring: () => mapper.mirroring || mapper.cart.mirror };
+  },
+};
+
+// [mapper, submapper, register-select lines for bit 0 and bit 1, VRC2]
+const WIRINGS = [
+  [21, 1, 1, 2, false], // VRC4a
+  [21, 2, 6, 7, false], // VRC4c
+  [22, 0, 1, 0, true],  // VRC2a
+  [23, 1, 0, 1, false], // VRC4f
+  [23, 2, 2, 3, false], // VRC4e
+  [23, 3, 0, 1, true],  // VRC2b
+  [25, 1, 1, 0, false], // VRC4b
+  [25, 2, 3, 2, false], // VRC4d
+  [25, 3, 1, 0, true],  // VRC2c
+];
+
+const CHR_256K = { prgSize: 0x20000, chrSize: 0x40000 };
+
+for (const [build, load] of Object.entries(BUILDS)) {
+  for (const [id, submapper, lo, hi, vrc2] of WIRINGS) {
+    test(`${build}: mapper ${id}.${submapper} decodes registers on A${lo}/A${hi}`, () => {
+      const { mapper, pending } = load(buildROM({ mapper: id, submapper, prgRamSize: vrc2 ? 0 : 0x2000, ...CHR_256K }));
+      const reg = (page, r) => page | ((r & 1) << lo) | ((r >> 1) << hi);
+      // $B000 registers 2 and 3 are the low and high nibble of the second 1K CHR bank
+      mapper.prgWrite(reg(0xB000, 2), 0x03);
+      mapper.prgWrite(reg(0xB000, 3), 0x01);
+      assert.equal(mapper.chrRead(0x0400), id === 22 ? 0x13 >> 1 : 0x13); // VRC2a drops bit 0
+      // VRC4 only: $F000 registers set up a cycle-mode IRQ on the next clock
+      mapper.prgWrite(reg(0xF000, 0), 0x0F);
+      mapper.prgWrite(reg(0xF000, 1), 0x0F);
+      mapper.prgWrite(reg(0xF000, 2), 0x06);
+      mapper.cpuClock();
+      assert.equal(pending(), !vrc2);
+    });
+  }
+
+  test(`${build}: a plain iNES mapper 23 cart without battery is a VRC2`, () => {
+    const { mapper, pending, mirroring } = load(buildROM({ mapper: 23, ...CHR_256K }));
+    const before = mapper.prgRead(0x8000);
+    mapper.prgWrite(0x9002, 0x03); // VRC2 mirroring on any $9000-$9003 address, not the VRC4 swap
+    assert.equal(mirroring(), 'horizontal');
+    assert.equal(mapper.prgRead(0x8000), before);
+    // The microwire latch at $6000 holds one bit
+    mapper.ramWrite(0x6000, 0xFF);
+    assert.equal(mapper.ramRead(0x6000), 1);
+    // The IRQ is still decoded, in case this is a VRC4 after all
+    mapper.prgWrite(0xF000, 0x0F);
+    mapper.prgWrite(0xF001, 0x0F);
+    mapper.prgWrite(0xF002, 0x06);
+    mapper.cpuClock();
+    assert.equal(pending(), true);
+  });
+
+  test(`${build}: a plain iNES mapper 23 cart with battery is a VRC4`, () => {
+    const { mapper } = load(buildROM({ mapper: 23, battery: true, ...CHR_256K }));
+    mapper.prgWrite(0x8000, 0x02);
+    assert.equal(mapper.prgRead(0x8000), 2);
+    mapper.prgWrite(0x9008, 0x02); // VRC4e $9002: swap $8000 and $C000
+    assert.equal(mapper.prgRead(0x8000), 14);
+    assert.equal(mapper.prgRead(0xC000), 2);
+    mapper.ramWrite(0x6000, 0xAB);
+    assert.equal(mapper.ramRead(0x6000), 0xAB);
+  });
+
+  test(`${build}: the VRC IRQ counts CPU cycles in cycle mode`, () => {
+    const { mapper, pending } = load(buildROM({ mapper: 21, submapper: 1, prgRamSize: 0x2000, ...CHR_256K }));
+    mapper.prgWrite(0xF000, 0x0C); // latch $FC
+    mapper.prgWrite(0xF002, 0x0F);
+    mapper.prgWrite(0xF004, 0x07); // enable after ack, enable, cycle mode
+    for (let i = 0; i < 3; i++) mapper.cpuClock();
+    assert.equal(pending(), false);
+    mapper.cpuClock();
+    assert.equal(pending(), true);
+    // Acknowledging keeps it running from the reloaded latch
+    mapper.prgWrite(0xF006, 0);
+    assert.equal(pending(), false);
+    for (let i = 0; i < 4; i++) mapper.cpuClock();
+    assert.equal(pending(), true);
+  });
+
+  test(`${build}: the VRC IRQ prescaler clocks the counter every 341 PPU dots in scanline mode`, () => {
+    const { mapper, pending } = load(buildROM({ mapper: 21, submapper: 1, prgRamSize: 0x2000, ...CHR_256K }));
+    mapper.prgWrite(0xF000, 0x0D); // latch $FD: three scanlines
+    mapper.prgWrite(0xF002, 0x0F);
+    mapper.prgWrite(0xF004, 0x02);
+    // 3 scanlines are 3 * 341 dots = 341 CPU cycles
+    for (let i = 0; i < 340; i++) mapper.cpuClock();
+    assert.equal(pending(), false);
+    mapper.cpuClock();
+    assert.equal(pending(), true);
+    // Without enable-after-ack the acknowledge stops it
+    mapper.prgWrite(0xF006, 0);
+    for (let i = 0; i < 2000; i++) mapper.cpuClock();
+    assert.equal(pending(), false);
+  });
+
+  test(`${build}: mapper 26 swaps the VRC6 A0 and A1 lines`, () => {
+    for (const [id, addr] of [[24, 0xD001], [26, 0xD002]]) {
+      const { mapper } = load(buildROM({ mapper: id, ...CHR_256K }));
+      mapper.prgWrite(0xB003, 0x00); // 1K CHR banks
+      mapper.prgWrite(addr, 0x21);
+      assert.equal(mapper.chrRead(0x0400), 0x21, `mapper ${id}`);
+    }
+  });
+}